@@ -0,0 +1,326 @@
+// Bot AI.  Every tick a bot's strategy looks at its frontier (the cells it
+// can reach but does not own), scores the possible attacks and decides what
+// to build and when to put to sea.  It also answers treaty proposals by
+// comparing strengths.  Strategies are stateless and only read the Game they
+// are given, so one instance serves every bot with the same strategy and
+// difficulty.
+const { BUILDINGS } = require('./buildings');
+
+// Difficulty tunes how often a bot acts, how much of its pool it may commit
+// per turn, how many attacks it launches and whether it builds.
+const DIFFICULTIES = {
+  easy: { actEvery: 3, commit: 0.3, movesPerTurn: 1, builds: false },
+  normal: { actEvery: 2, commit: 0.5, movesPerTurn: 2, builds: true },
+  hard: { actEvery: 1, commit: 0.8, movesPerTurn: 4, builds: true },
+};
+
+// At most one city per this many cells (by default), one port and one fort
+// per this many cells
+const CELLS_PER_CITY = 5;
+const CELLS_PER_PORT = 20;
+const CELLS_PER_FORT = 10;
+
+// Percentage that makes Game.attack() send exactly toSend troops out of a
+// pool of troops (it floors troops * percent).
+function percentFor(troops, toSend) {
+  return Math.min(1, (toSend + 0.5) / troops);
+}
+
+// Base class: gathers the frontier, launches the best scored attacks and
+// builds from the catalog.  Subclasses provide scoreMove() and may tune
+// cellsPerCity and fortifies.
+class BotStrategy {
+  constructor(difficulty) {
+    this.difficulty = DIFFICULTIES[difficulty] || DIFFICULTIES.normal;
+    // Territory per city the bot aims for, and whether it builds forts
+    this.cellsPerCity = CELLS_PER_CITY;
+    this.fortifies = false;
+    // Minimum strength of a proposer, relative to the bot's, for the bot to
+    // accept an alliance or a truce
+    this.allianceRatio = 0.75;
+    this.truceRatio = 0.5;
+  }
+  act(game, bot) {
+    const settings = this.difficulty;
+    if (game.tick % settings.actEvery !== 0) return;
+    const frontier = this.frontier(game, bot);
+    if (settings.builds && this.build(game, bot, frontier)) return;
+    let budget = Math.floor(bot.troops * settings.commit);
+    // A scan of the whole territory: computed once for every move scored
+    const maxTroops = game.maxTroops(bot);
+    if (this.sail(game, bot, frontier, budget, maxTroops)) return;
+    const moves = frontier
+      .map((move) => ({ ...move, score: this.scoreMove(game, bot, move, budget, maxTroops) }))
+      .filter((move) => move.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, settings.movesPerTurn);
+    for (const move of moves) {
+      if (move.cost > budget || move.cost > bot.troops) continue;
+      const percent = percentFor(bot.troops, move.cost);
+      if (game.attack(bot.id, move.src.x, move.src.y, move.dst.x, move.dst.y, percent)) {
+        budget -= move.cost;
+      }
+    }
+  }
+  /**
+   * Every land cell the bot can attack, once, with the troops needed to take
+   * it and the number of unclaimed land cells around it.
+   */
+  frontier(game, bot) {
+    const seen = new Set();
+    const moves = [];
+    for (const srcIdx of bot.cells) {
+      const x = srcIdx % game.gridW;
+      const y = Math.floor(srcIdx / game.gridW);
+      for (const dst of game.reachableTargets(bot.id, x, y)) {
+        const dstIdx = dst.y * game.gridW + dst.x;
+        const cell = game.cells[dstIdx];
+        if (!cell.land || seen.has(dstIdx)) continue;
+        seen.add(dstIdx);
+        const defender = cell.owner ? game.players[cell.owner] : null;
+        if (defender && game.diplomacy.atPeace(bot.id, defender.id)) continue;
+        moves.push({
+          src: { x, y },
+          dst,
+          cell,
+          defender,
+          // Troops needed to beat the cell's defence
+          cost: Math.floor(game.defensePower(dstIdx)) + 1,
+          openNeighbours: this.openNeighbours(game, dst.x, dst.y),
+        });
+      }
+    }
+    return moves;
+  }
+  /**
+   * Once no unclaimed land is left in reach, send the whole budget by boat
+   * to the nearest coast cell worth taking across the sea.  Bots keep one
+   * boat at sea at a time.  Returns true if a boat was launched.
+   */
+  sail(game, bot, frontier, budget, maxTroops) {
+    if (budget < 1 || frontier.some((move) => !move.defender)) return false;
+    if (game.boats.some((boat) => boat.playerId === bot.id)) return false;
+    const worthTaking = (idx) => {
+      const cell = game.cells[idx];
+      const defender = cell.owner ? game.players[cell.owner] : null;
+      if (cell.owner === bot.id || (defender && game.diplomacy.atPeace(bot.id, defender.id))) return false;
+      // Twice the troops needed today, as defences may grow during the crossing
+      const cost = Math.floor(game.defensePower(idx)) + 1;
+      if (cost * 2 > budget) return false;
+      const x = idx % game.gridW;
+      const y = Math.floor(idx / game.gridW);
+      const move = { dst: { x, y }, cell, defender, cost, openNeighbours: this.openNeighbours(game, x, y) };
+      return this.scoreMove(game, bot, move, budget, maxTroops) > 0;
+    };
+    const ports = [...bot.cells].filter((idx) => game.cells[idx].buildings.includes('port'));
+    if (ports.length === 0) return false;
+    const route = game.seaRoute(ports, worthTaking);
+    if (!route) return false;
+    const src = route[0];
+    const dst = route[route.length - 1];
+    const percent = percentFor(bot.troops, budget);
+    const { gridW } = game;
+    const srcX = src % gridW;
+    const srcY = Math.floor(src / gridW);
+    return !!game.launchBoat(bot.id, srcX, srcY, dst % gridW, Math.floor(dst / gridW), percent);
+  }
+  openNeighbours(game, x, y) {
+    let count = 0;
+    for (let j = -1; j <= 1; j++) {
+      for (let i = -1; i <= 1; i++) {
+        const nx = x + i;
+        const ny = y + j;
+        if (nx < 0 || ny < 0 || nx >= game.gridW || ny >= game.gridH) continue;
+        const cell = game.cells[ny * game.gridW + nx];
+        if (cell.land && !cell.owner) count += 1;
+      }
+    }
+    return count;
+  }
+  /**
+   * Military weight of a player: troops plus territory.
+   */
+  strength(player) {
+    return player.troops + player.cells.size;
+  }
+  /**
+   * Accept a treaty when the proposer is strong enough that fighting it
+   * would cost more than peace.  Weaker proposers are prey and get turned
+   * down.
+   */
+  acceptsTreaty(game, bot, proposal) {
+    const proposer = game.players[proposal.fromId];
+    if (!proposer) return false;
+    const ratio = this.strength(proposer) / Math.max(1, this.strength(bot));
+    return ratio >= (proposal.kind === 'alliance' ? this.allianceRatio : this.truceRatio);
+  }
+  /**
+   * Score an attack with the budget of the turn and the bot's troop cap
+   * (Game.maxTroops()); moves scoring 0 or less are skipped.
+   */
+  scoreMove() {
+    return 0;
+  }
+  /**
+   * Spend gold on the buildings the bot wants and can afford, at most one
+   * of each type per turn and in order of priority: cities up to
+   * cellsPerCity, one barracks per city, a port once the bot is boxed in
+   * with no unclaimed land left to take, and forts on the borders it shares
+   * with other players if it fortifies.  Returns true if something was
+   * built.
+   */
+  build(game, bot, frontier) {
+    const counts = {};
+    for (const type in BUILDINGS) counts[type] = 0;
+    for (const idx of bot.cells) {
+      for (const type of game.cells[idx].buildings) counts[type] += 1;
+    }
+    const wanted = [];
+    if (counts.city < Math.ceil(bot.cells.size / this.cellsPerCity)) wanted.push(['city', this.interiorSite]);
+    if (counts.barracks < counts.city) wanted.push(['barracks', this.interiorSite]);
+    if (counts.port < Math.ceil(bot.cells.size / CELLS_PER_PORT) && !frontier.some((move) => !move.defender)) {
+      wanted.push(['port', this.coastSite]);
+    }
+    if (this.fortifies && counts.fort < Math.ceil(bot.cells.size / CELLS_PER_FORT)) {
+      wanted.push(['fort', this.borderSite]);
+    }
+    let built = false;
+    for (const [type, findSite] of wanted) {
+      if (bot.gold < BUILDINGS[type].cost) continue;
+      const idx = findSite.call(this, game, bot, type);
+      if (idx !== null && game.build(bot.id, type, idx % game.gridW, Math.floor(idx / game.gridW))) built = true;
+    }
+    return built;
+  }
+  /**
+   * The owned cell without the given building that has the most owned
+   * neighbours, i.e. the one furthest from the front.
+   */
+  interiorSite(game, bot, type) {
+    return this.bestSite(game, bot, type, (cell) => cell.owner === bot.id);
+  }
+  /**
+   * The owned cell without the given building that borders the most cells
+   * of other players, or null if the bot has no such border.
+   */
+  borderSite(game, bot, type) {
+    return this.bestSite(game, bot, type, (cell) => cell.owner && cell.owner !== bot.id, 1);
+  }
+  /**
+   * The first owned coastal cell without the given building.
+   */
+  coastSite(game, bot, type) {
+    for (const idx of bot.cells) {
+      if (game.cells[idx].buildings.includes(type)) continue;
+      if (game.adjacentToWater(idx % game.gridW, Math.floor(idx / game.gridW))) return idx;
+    }
+    return null;
+  }
+  /**
+   * The owned cell without the given building with the most neighbours
+   * matching counts(cell), and at least minScore of them; null if none.
+   */
+  bestSite(game, bot, type, counts, minScore = 0) {
+    let best = null;
+    let bestScore = minScore - 1;
+    for (const idx of bot.cells) {
+      if (game.cells[idx].buildings.includes(type)) continue;
+      const x = idx % game.gridW;
+      const y = Math.floor(idx / game.gridW);
+      let score = 0;
+      for (let j = -1; j <= 1; j++) {
+        for (let i = -1; i <= 1; i++) {
+          const nx = x + i;
+          const ny = y + j;
+          if (nx < 0 || ny < 0 || nx >= game.gridW || ny >= game.gridH) continue;
+          if (counts(game.cells[ny * game.gridW + nx])) score += 1;
+        }
+      }
+      if (score > bestScore) {
+        best = idx;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+}
+
+// Grows slowly into unclaimed land, never attacks other players, invests
+// early in cities and fortifies its borders.
+class PassiveStrategy extends BotStrategy {
+  constructor(difficulty) {
+    super(difficulty);
+    this.cellsPerCity = 3;
+    this.fortifies = true;
+    // Takes any peace it can get
+    this.allianceRatio = 0.25;
+    this.truceRatio = 0;
+  }
+  scoreMove(game, bot, move, budget, maxTroops) {
+    if (move.defender) return 0;
+    // Keep a reserve: only expand with a comfortable pool
+    if (bot.troops < maxTroops / 2) return 0;
+    return 1 + move.openNeighbours;
+  }
+}
+
+// Races for unclaimed land, favouring cells that open up more land, and
+// only fights neighbours it clearly outnumbers.
+class ExpansionistStrategy extends BotStrategy {
+  scoreMove(game, bot, move, budget) {
+    if (!move.defender) return 2 + move.openNeighbours;
+    const ratio = budget / move.cost;
+    return ratio >= 2 ? ratio : 0;
+  }
+}
+
+// Hunts the weakest neighbours it can beat, prizing their cities, and only
+// takes unclaimed land when no fight is worth it.  Only makes peace with
+// players stronger than itself.
+class AggressiveStrategy extends BotStrategy {
+  constructor(difficulty) {
+    super(difficulty);
+    this.allianceRatio = 1.5;
+    this.truceRatio = 1;
+  }
+  scoreMove(game, bot, move, budget) {
+    if (!move.defender) return 1;
+    const ratio = budget / move.cost;
+    if (ratio < 1) return 0;
+    const { buildings } = move.cell;
+    return 5 + ratio * 2 + (buildings.includes('city') ? 3 : 0) + (buildings.includes('port') ? 1 : 0);
+  }
+}
+
+const STRATEGIES = {
+  passive: PassiveStrategy,
+  expansionist: ExpansionistStrategy,
+  aggressive: AggressiveStrategy,
+};
+const STRATEGY_NAMES = Object.keys(STRATEGIES);
+
+// Shared instances, keyed by "strategy:difficulty"
+const instances = new Map();
+
+/**
+ * Return the strategy instance for a strategy name and difficulty.  Unknown
+ * names fall back to the expansionist strategy.
+ */
+function getStrategy(name, difficulty) {
+  const key = `${name}:${difficulty}`;
+  if (!instances.has(key)) {
+    const Strategy = STRATEGIES[name] || ExpansionistStrategy;
+    instances.set(key, new Strategy(difficulty));
+  }
+  return instances.get(key);
+}
+
+module.exports = {
+  BotStrategy,
+  PassiveStrategy,
+  ExpansionistStrategy,
+  AggressiveStrategy,
+  DIFFICULTIES,
+  STRATEGY_NAMES,
+  getStrategy,
+};
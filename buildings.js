@@ -0,0 +1,64 @@
+// Building catalog.  Buildings are paid for in gold and cost upkeep, in gold
+// per tick, for as long as they stand.  A cell may hold one building of each
+// type; capturing a cell destroys its buildings.
+//
+// requires lists the prerequisites of a building:
+//   coast      the cell must touch water
+//   buildings  types the player must already own somewhere
+// effects lists what a building does:
+//   defense    fraction added to the defence multiplier of its cell
+//   troopCap   troops added to the owner's troop cap
+//   growth     troops added to the owner's pool every tick
+//   gold       gold added to the owner's income every tick
+//   boats      boats may set sail from the cell
+//   vision     under fog of war, the owner sees this many cells around it
+// color is the colour of the building's marker on the map.
+const BUILDINGS = {
+  city: {
+    name: 'Ville',
+    cost: 40,
+    upkeep: 0,
+    requires: {},
+    effects: { defense: 0.5, troopCap: 5, gold: 1, vision: 4 },
+    color: '#FFA500',
+  },
+  port: {
+    name: 'Port',
+    cost: 25,
+    upkeep: 0.2,
+    requires: { coast: true },
+    effects: { defense: 0.25, boats: true, vision: 6 },
+    color: '#00BFFF',
+  },
+  fort: {
+    name: 'Fort',
+    cost: 30,
+    upkeep: 0.3,
+    requires: {},
+    effects: { defense: 1.5 },
+    color: '#B0B0B0',
+  },
+  barracks: {
+    name: 'Caserne',
+    cost: 60,
+    upkeep: 0.5,
+    requires: { buildings: ['city'] },
+    effects: { troopCap: 3, growth: 1 },
+    color: '#C0392B',
+  },
+};
+const BUILDING_TYPES = Object.keys(BUILDINGS);
+
+/**
+ * Public view of the catalog, in catalog order, for clients to build their
+ * menus from.
+ */
+function serializeCatalog() {
+  return BUILDING_TYPES.map((type) => ({ type, ...BUILDINGS[type] }));
+}
+
+module.exports = {
+  BUILDINGS,
+  BUILDING_TYPES,
+  serializeCatalog,
+};
@@ -0,0 +1,81 @@
+// Combat resolution.  An attack no longer fights the defender's whole troop
+// pool: it meets the local garrison of the target cell, strengthened by the
+// buildings on the cell and by how densely the defender holds the area.
+// Both sides take losses, and a failed attack still wears the garrison down.
+// The terrain of the cell multiplies its defence, unclaimed land included.
+const { TERRAINS } = require('./terrain');
+const { BUILDINGS } = require('./buildings');
+
+// Strength of unclaimed land: a single troop takes it
+const NEUTRAL_GARRISON = 0.5;
+// Defensive bonus per neighbouring cell held by the defender, as a fraction
+// added to the garrison's strength.  Buildings add their own (see
+// buildings.js).
+const BORDER_DENSITY_BONUS = 0.05;
+// A winning attacker loses this many troops per point of defence it beat
+const ATTACKER_LOSS_RATE = 0.8;
+// A failed attack at even strength kills this share of the garrison
+const DEFENDER_LOSS_RATE = 0.6;
+
+/**
+ * Troops of the defender's pool that hold one cell: the pool is spread over
+ * the territory, and each friendly neighbour adds its share of support.
+ */
+function garrisonSize(defenderTroops, defenderCells, friendlyNeighbours) {
+  if (defenderTroops <= 0 || defenderCells <= 0) return 0;
+  const share = Math.min(1, (1 + friendlyNeighbours) / defenderCells);
+  return Math.min(defenderTroops, Math.max(1, Math.round(defenderTroops * share)));
+}
+
+/**
+ * Multiplier the terrain of a cell applies to its defence.
+ */
+function terrainDefense(cell) {
+  return TERRAINS[cell.terrain].defense || 1;
+}
+
+/**
+ * Multiplier applied to a garrison for the cell's terrain, its buildings and
+ * the number of neighbouring cells the defender holds.
+ */
+function defenseMultiplier(cell, friendlyNeighbours) {
+  let bonus = friendlyNeighbours * BORDER_DENSITY_BONUS;
+  for (const type of cell.buildings) bonus += BUILDINGS[type].effects.defense || 0;
+  return (1 + bonus) * terrainDefense(cell);
+}
+
+/**
+ * Resolve an attack of `sent` troops against a garrison.  The attacker
+ * captures the cell when it outnumbers the garrison's defence power; then
+ * the garrison is destroyed and the survivors of the attack return to the
+ * attacker's pool.  Otherwise every attacker is lost and the garrison loses
+ * a share proportional to the attack's strength.
+ *
+ * Returns { captured, attackerLosses, defenderLosses, defensePower }.
+ */
+function resolveCombat(sent, garrison, multiplier) {
+  const defensePower = garrison * multiplier;
+  if (sent > defensePower) {
+    return {
+      captured: true,
+      attackerLosses: Math.min(sent, Math.max(1, Math.ceil(defensePower * ATTACKER_LOSS_RATE))),
+      defenderLosses: Math.ceil(garrison),
+      defensePower,
+    };
+  }
+  const strength = defensePower > 0 ? sent / defensePower : 1;
+  return {
+    captured: false,
+    attackerLosses: sent,
+    defenderLosses: Math.min(Math.floor(garrison), Math.floor(garrison * strength * DEFENDER_LOSS_RATE)),
+    defensePower,
+  };
+}
+
+module.exports = {
+  NEUTRAL_GARRISON,
+  garrisonSize,
+  terrainDefense,
+  defenseMultiplier,
+  resolveCombat,
+};
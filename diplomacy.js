@@ -0,0 +1,216 @@
+// Diplomacy between players.  A player proposes an alliance or a truce to
+// another one, who accepts or declines it.  Players bound by a treaty cannot
+// attack each other: an alliance lasts until one side breaks it, a truce
+// expires on its own.  Breaking a treaty is announced to everyone and only
+// takes effect after a cooldown, so it cannot cover a surprise attack.
+
+const TREATY_KINDS = ['alliance', 'truce'];
+// Ticks a proposal stays open before it lapses
+const PROPOSAL_TTL_TICKS = 30;
+const TRUCE_TICKS = 60;
+// Ticks between the announcement of a break and the end of the treaty
+const BREAK_COOLDOWN_TICKS = 10;
+// Events announced to every player; the others only concern the two parties
+const PUBLIC_EVENTS = ['signed', 'broken', 'ended'];
+// Reason codes of refused diplomacy actions
+const REJECTIONS = {
+  INVALID_KIND: 'invalid_kind',
+  TREATY_EXISTS: 'treaty_exists',
+  TREATY_ENDING: 'treaty_ending',
+  PROPOSAL_PENDING: 'proposal_pending',
+  UNKNOWN_PROPOSAL: 'unknown_proposal',
+  NO_TREATY: 'no_treaty',
+};
+
+class Diplomacy {
+  /**
+   * reject(reason, details) is called with a REJECTIONS code whenever an
+   * action is refused, and its result returned.
+   */
+  constructor(reject = () => false) {
+    this.reject = reject;
+    // { kind, playerIds: [a, b], since, endsAt (null until broken for an
+    // alliance), brokenBy }
+    this.treaties = [];
+    // { id, kind, fromId, toId, expiresAt }
+    this.proposals = [];
+    this.nextProposalId = 1;
+    // Events since the previous takeEvents():
+    // { tick, event, kind, playerIds: [actor, other] }
+    this.events = [];
+  }
+  /**
+   * The treaty binding two players, or null.
+   */
+  treatyBetween(a, b) {
+    return this.treaties.find((t) => t.playerIds.includes(a) && t.playerIds.includes(b)) || null;
+  }
+  /**
+   * True if two players may not attack each other.
+   */
+  atPeace(a, b) {
+    return a !== b && this.treatyBetween(a, b) !== null;
+  }
+  /**
+   * Ids of the players bound to a player by an alliance.
+   */
+  alliesOf(id) {
+    return this.treaties
+      .filter((t) => t.kind === 'alliance' && t.playerIds.includes(id))
+      .map((t) => (t.playerIds[0] === id ? t.playerIds[1] : t.playerIds[0]));
+  }
+  /**
+   * Open proposals addressed to a player.
+   */
+  proposalsTo(id) {
+    return this.proposals.filter((p) => p.toId === id);
+  }
+  /**
+   * Propose a treaty of the given kind.  A truce may be upgraded to an
+   * alliance, but a treaty being broken cannot be renewed before it ends.
+   * Returns the proposal, or false.
+   */
+  propose(tick, fromId, toId, kind) {
+    if (!TREATY_KINDS.includes(kind)) return this.reject(REJECTIONS.INVALID_KIND, { kinds: TREATY_KINDS });
+    if (fromId === toId) return this.reject(REJECTIONS.TREATY_EXISTS);
+    const treaty = this.treatyBetween(fromId, toId);
+    if (treaty && treaty.brokenBy) return this.reject(REJECTIONS.TREATY_ENDING, { endsAt: treaty.endsAt });
+    if (treaty && (treaty.kind === 'alliance' || kind === 'truce')) {
+      return this.reject(REJECTIONS.TREATY_EXISTS, { kind: treaty.kind });
+    }
+    const pending = this.proposals.some(
+      (p) => p.kind === kind && [p.fromId, p.toId].includes(fromId) && [p.fromId, p.toId].includes(toId)
+    );
+    if (pending) return this.reject(REJECTIONS.PROPOSAL_PENDING);
+    const proposal = { id: this.nextProposalId++, kind, fromId, toId, expiresAt: tick + PROPOSAL_TTL_TICKS };
+    this.proposals.push(proposal);
+    this.announce(tick, 'proposed', kind, fromId, toId);
+    return proposal;
+  }
+  /**
+   * Accept a proposal addressed to the player; the new treaty replaces any
+   * truce between the two.  Returns the treaty, or false.
+   */
+  accept(tick, playerId, proposalId) {
+    const proposal = this.takeProposal(playerId, proposalId);
+    if (!proposal) return this.reject(REJECTIONS.UNKNOWN_PROPOSAL);
+    this.treaties = this.treaties.filter(
+      (t) => !(t.playerIds.includes(proposal.fromId) && t.playerIds.includes(proposal.toId))
+    );
+    const treaty = {
+      kind: proposal.kind,
+      playerIds: [proposal.fromId, proposal.toId],
+      since: tick,
+      endsAt: proposal.kind === 'truce' ? tick + TRUCE_TICKS : null,
+      brokenBy: null,
+    };
+    this.treaties.push(treaty);
+    this.announce(tick, 'signed', proposal.kind, playerId, proposal.fromId);
+    return treaty;
+  }
+  /**
+   * Decline a proposal addressed to the player.
+   */
+  decline(tick, playerId, proposalId) {
+    const proposal = this.takeProposal(playerId, proposalId);
+    if (!proposal) return this.reject(REJECTIONS.UNKNOWN_PROPOSAL);
+    this.announce(tick, 'declined', proposal.kind, playerId, proposal.fromId);
+    return true;
+  }
+  takeProposal(playerId, proposalId) {
+    const proposal = this.proposals.find((p) => p.id === proposalId && p.toId === playerId);
+    if (!proposal) return null;
+    this.proposals.splice(this.proposals.indexOf(proposal), 1);
+    return proposal;
+  }
+  /**
+   * Announce the end of the treaty with another player.  It stays in force
+   * for BREAK_COOLDOWN_TICKS (or until a truce would have expired anyway).
+   */
+  breakTreaty(tick, playerId, otherId) {
+    const treaty = playerId !== otherId ? this.treatyBetween(playerId, otherId) : null;
+    if (!treaty) return this.reject(REJECTIONS.NO_TREATY);
+    if (treaty.brokenBy) return this.reject(REJECTIONS.TREATY_ENDING, { endsAt: treaty.endsAt });
+    treaty.brokenBy = playerId;
+    const endsAt = tick + BREAK_COOLDOWN_TICKS;
+    treaty.endsAt = treaty.endsAt === null ? endsAt : Math.min(treaty.endsAt, endsAt);
+    this.announce(tick, 'broken', treaty.kind, playerId, otherId);
+    return true;
+  }
+  /**
+   * Lapse expired proposals and end treaties whose time is up.
+   */
+  update(tick) {
+    this.proposals = this.proposals.filter((p) => {
+      if (p.expiresAt > tick) return true;
+      this.announce(tick, 'expired', p.kind, p.fromId, p.toId);
+      return false;
+    });
+    this.treaties = this.treaties.filter((t) => {
+      if (t.endsAt === null || t.endsAt > tick) return true;
+      this.announce(tick, 'ended', t.kind, t.playerIds[0], t.playerIds[1]);
+      return false;
+    });
+  }
+  /**
+   * Forget every treaty and proposal involving a player who left.
+   */
+  removePlayer(id) {
+    this.treaties = this.treaties.filter((t) => !t.playerIds.includes(id));
+    this.proposals = this.proposals.filter((p) => p.fromId !== id && p.toId !== id);
+  }
+  announce(tick, event, kind, actorId, otherId) {
+    this.events.push({ tick, event, kind, playerIds: [actorId, otherId] });
+  }
+  /**
+   * Return the events gathered since the previous call.
+   */
+  takeEvents() {
+    const events = this.events;
+    this.events = [];
+    return events;
+  }
+  /**
+   * Public view of the diplomacy: the treaties, which everyone is told
+   * about.  Proposals only concern their two parties, see proposalsOf().
+   */
+  serialize() {
+    return {
+      treaties: this.treaties.map((t) => ({ ...t, playerIds: [...t.playerIds] })),
+    };
+  }
+  /**
+   * Open proposals a player made or received.
+   */
+  proposalsOf(id) {
+    return this.proposals.filter((p) => p.fromId === id || p.toId === id).map((p) => ({ ...p }));
+  }
+  /**
+   * Everything restore() needs to pick up where this left off.
+   */
+  toSnapshot() {
+    return {
+      ...this.serialize(),
+      proposals: this.proposals.map((p) => ({ ...p })),
+      nextProposalId: this.nextProposalId,
+    };
+  }
+  /**
+   * Replace the treaties and proposals with those of a snapshot.
+   */
+  restore(snapshot) {
+    this.treaties = snapshot.treaties.map((t) => ({ ...t, playerIds: [...t.playerIds] }));
+    this.proposals = snapshot.proposals.map((p) => ({ ...p }));
+    this.nextProposalId = snapshot.nextProposalId;
+  }
+}
+
+module.exports = {
+  Diplomacy,
+  TREATY_KINDS,
+  PUBLIC_EVENTS,
+  REJECTIONS,
+  PROPOSAL_TTL_TICKS,
+  TRUCE_TICKS,
+  BREAK_COOLDOWN_TICKS,
+};
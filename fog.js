@@ -0,0 +1,168 @@
+// Fog of war.  In rooms that enable it, players only see their territory and
+// the cells within VISION_RADIUS of it; buildings with a vision effect see
+// further (see buildings.js).  The server runs the state and the deltas it
+// streams to each player through fogState() and fogDelta(): unseen cells
+// come without owner, troops or buildings, and rivals' troops and gold are
+// withheld.  Players who have not spawned yet see no cells either, but are
+// told who owns each one so that they can pick a free spawn cell.  Streams
+// without a player see no cells and no troops at all.  Treaties are public
+// and pass through; proposals are not part of the shared state (see
+// Room.diplomacyFor()).  Every fogged cell carries a visible flag, and
+// clients keep what they last saw of the cells they cannot see any more.
+const { BUILDINGS } = require('./buildings');
+
+// How far, in steps over the eight neighbours, a player sees around their
+// territory
+const VISION_RADIUS = 2;
+
+/**
+ * Cells a player sees, as one flag per cell.  A breadth-first walk from the
+ * whole territory at once, cells with the longest sight first, visits each
+ * cell once.
+ */
+function computeVisibility(game, player) {
+  const { gridW, gridH, cells } = game;
+  // Sight left when reaching each cell, -1 where it never reaches
+  const range = new Int8Array(cells.length).fill(-1);
+  const buckets = [];
+  const reach = (idx, sight) => {
+    if (sight <= range[idx]) return;
+    range[idx] = sight;
+    (buckets[sight] = buckets[sight] || []).push(idx);
+  };
+  for (const idx of player.cells) {
+    let sight = VISION_RADIUS;
+    for (const type of cells[idx].buildings) sight = Math.max(sight, BUILDINGS[type].effects.vision || 0);
+    reach(idx, sight);
+  }
+  for (let sight = buckets.length - 1; sight > 0; sight--) {
+    for (const idx of buckets[sight] || []) {
+      if (range[idx] !== sight) continue;
+      const x = idx % gridW;
+      const y = (idx - x) / gridW;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx >= 0 && ny >= 0 && nx < gridW && ny < gridH) reach(ny * gridW + nx, sight - 1);
+        }
+      }
+    }
+  }
+  return Uint8Array.from(range, (sight) => (sight >= 0 ? 1 : 0));
+}
+
+/**
+ * Players as a viewer may see them: only their own troops and gold.  A null
+ * viewerId sees nobody's.
+ */
+function fogPlayers(players, viewerId) {
+  const seen = {};
+  for (const id in players) {
+    seen[id] = id === viewerId ? players[id] : { ...players[id], troops: null, gold: null };
+  }
+  return seen;
+}
+
+/**
+ * The viewer's fronts, and the cells they can see of the others'.
+ */
+function fogFronts(fronts, viewerId, visible) {
+  const seen = [];
+  for (const front of fronts) {
+    if (front.playerId === viewerId) {
+      seen.push(front);
+      continue;
+    }
+    const cells = front.cells.filter((idx) => visible[idx]);
+    if (cells.length) seen.push({ ...front, troops: null, cells });
+  }
+  return seen;
+}
+
+/**
+ * The viewer's boats, and the others' while they sail within sight, with
+ * only the part of their route the viewer can see.
+ */
+function fogBoats(boats, viewerId, visible) {
+  return boats
+    .filter((boat) => boat.playerId === viewerId || visible[boat.cell])
+    .map((boat) => (boat.playerId === viewerId ? boat : { ...boat, route: boat.route.filter((idx) => visible[idx]) }));
+}
+
+/**
+ * True if a viewer is told who owns the cells they cannot see: until they
+ * spawn, players need it to find a free cell.
+ */
+function scouting(player) {
+  return !!player && !player.spawned;
+}
+
+/**
+ * A full state (Game.serializeState()) as one stream sees it.  view is
+ * { player, visible }: the stream's player, null if it has none, and the
+ * cells they see (see computeVisibility()).
+ */
+function fogState(state, { player, visible }) {
+  const viewerId = player && player.id;
+  const scouted = scouting(player);
+  return {
+    ...state,
+    fog: true,
+    cells: state.cells.map((cell, idx) =>
+      visible[idx]
+        ? { ...cell, visible: true }
+        : {
+            terrain: cell.terrain,
+            land: cell.land,
+            owner: scouted ? cell.owner : null,
+            troops: 0,
+            buildings: [],
+            visible: false,
+          }
+    ),
+    players: fogPlayers(state.players, viewerId),
+    fronts: fogFronts(state.fronts, viewerId, visible),
+    boats: fogBoats(state.boats, viewerId, visible),
+  };
+}
+
+/**
+ * A delta (Game.takeDelta()) as one stream sees it, given its view (see
+ * fogState()) and what it saw before the delta (null if everything).
+ * Changes of cells out of sight are dropped, or sent as { i, owner,
+ * visible: false } to scouting players; cells coming into sight are sent in
+ * full, and cells going out of sight as { i, visible: false }.
+ */
+function fogDelta(delta, game, { player, visible }, previous) {
+  const viewerId = player && player.id;
+  const scouted = scouting(player);
+  const changes = new Map();
+  for (const change of delta.cells) {
+    if (visible[change.i]) changes.set(change.i, { ...change, visible: true });
+    else if (scouted) changes.set(change.i, { i: change.i, owner: change.owner, visible: false });
+  }
+  for (let idx = 0; idx < visible.length; idx++) {
+    if (previous && visible[idx] === previous[idx]) continue;
+    const cell = game.cells[idx];
+    if (visible[idx]) {
+      changes.set(idx, { i: idx, owner: cell.owner, buildings: cell.buildings, visible: true });
+    } else {
+      changes.set(idx, scouted ? { i: idx, owner: cell.owner, visible: false } : { i: idx, visible: false });
+    }
+  }
+  return {
+    ...delta,
+    cells: [...changes.values()],
+    players: fogPlayers(delta.players, viewerId),
+    fronts: fogFronts(delta.fronts, viewerId, visible),
+    boats: fogBoats(delta.boats, viewerId, visible),
+  };
+}
+
+module.exports = {
+  VISION_RADIUS,
+  computeVisibility,
+  fogState,
+  fogDelta,
+};
@@ -0,0 +1,1231 @@
+const { getStrategy, STRATEGY_NAMES, DIFFICULTIES } = require('./bots');
+const { NEUTRAL_GARRISON, garrisonSize, terrainDefense, defenseMultiplier, resolveCombat } = require('./combat');
+const { Diplomacy, REJECTIONS: DIPLOMACY_REJECTIONS } = require('./diplomacy');
+const { getMap, DEFAULT_MAP_ID } = require('./maps');
+const { TERRAINS, TERRAIN_CODES } = require('./terrain');
+const { BUILDINGS, serializeCatalog } = require('./buildings');
+
+const MAX_PLAYERS_PER_GAME = 10;
+// A match ends when one player owns landPercent of all land, when a single
+// player is left standing, or after timeLimitTicks ticks (0 = no limit).
+const DEFAULT_WIN_CONDITIONS = { landPercent: 0.7, lastStanding: true, timeLimitTicks: 0 };
+
+// Turn a seed (number or string) into an unsigned 32-bit integer.  Strings
+// are hashed with FNV-1a so that any label can serve as a seed.
+function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+  const str = String(seed);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Seeded PRNG (mulberry32).  Returns a function yielding floats in [0, 1),
+// a drop-in replacement for Math.random.  Its state() is the internal state,
+// from which createRng(seed, state) carries on the same sequence.
+function createRng(seed, state) {
+  let a = state !== undefined ? state >>> 0 : normalizeSeed(seed);
+  function rng() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  rng.state = () => a;
+  return rng;
+}
+
+// Generate a random colour string in HSL format for players
+function randomColor(rng) {
+  const hue = Math.floor(rng() * 360);
+  return `hsl(${hue}, 60%, 50%)`;
+}
+
+// Attacks commit a fraction of the pool in (0, 1]
+function validPercent(percent) {
+  return typeof percent === 'number' && percent > 0 && percent <= 1;
+}
+
+// A front fights one more border cell per tick for every this many troops
+const FRONT_TROOPS_PER_CELL = 10;
+
+// Boats earn this many movement points per tick and spend the sailCost of
+// each water cell they enter (see terrain.js); landing costs one point.  A
+// player may have this many boats at sea at once.
+const BOAT_SPEED = 2;
+const MAX_BOATS_PER_PLAYER = 3;
+
+// Gold every owned cell yields per tick; buildings add their own income and
+// upkeep (see buildings.js)
+const GOLD_PER_CELL = 0.1;
+
+// The eight neighbour offsets of a cell
+const DIRECTIONS = [
+  { dx: -1, dy: 0 }, { dx: 1, dy: 0 }, { dx: 0, dy: -1 }, { dx: 0, dy: 1 },
+  { dx: -1, dy: -1 }, { dx: -1, dy: 1 }, { dx: 1, dy: -1 }, { dx: 1, dy: 1 },
+];
+
+// True if one of the buildings on a cell has the given effect
+function hasEffect(cell, effect) {
+  return cell.buildings.some((type) => BUILDINGS[type].effects[effect]);
+}
+
+// Commands that change who takes part rather than the map
+const ROSTER_ACTIONS = ['join', 'add_player', 'add_bot', 'remove', 'hand_over'];
+
+// Reason codes of rejected actions, left in game.rejection with details
+const REJECTIONS = {
+  GAME_OVER: 'game_over',
+  GAME_FULL: 'game_full',
+  UNKNOWN_ACTION: 'unknown_action',
+  UNKNOWN_PLAYER: 'unknown_player',
+  ELIMINATED: 'eliminated',
+  ALREADY_SPAWNED: 'already_spawned',
+  INVALID_CELL: 'invalid_cell',
+  INVALID_PERCENT: 'invalid_percent',
+  NOT_LAND: 'not_land',
+  OUTSIDE_SPAWN_ZONE: 'outside_spawn_zone',
+  CELL_TAKEN: 'cell_taken',
+  NOT_OWNER: 'not_owner',
+  NOT_ADJACENT: 'not_adjacent',
+  OWN_CELL: 'own_cell',
+  AT_PEACE: 'at_peace',
+  NO_TARGETS: 'no_targets',
+  INSUFFICIENT_TROOPS: 'insufficient_troops',
+  UNKNOWN_BUILDING: 'unknown_building',
+  ALREADY_BUILT: 'already_built',
+  MISSING_PREREQUISITE: 'missing_prerequisite',
+  INSUFFICIENT_GOLD: 'insufficient_gold',
+  NO_WATER_NEARBY: 'no_water_nearby',
+  UNKNOWN_FRONT: 'unknown_front',
+  NO_PORT: 'no_port',
+  NO_SEA_ROUTE: 'no_sea_route',
+  TOO_MANY_BOATS: 'too_many_boats',
+  ...DIPLOMACY_REJECTIONS,
+};
+
+// Game class defines the grid and methods for manipulating it.  This version
+// manages troops on a per‑player basis rather than per cell.  Each player
+// receives pooled troops which grow over time based on territory size and
+// cities.  Attacks spend a percentage of the player's total troops.
+class Game {
+  /**
+   * Options: maxPlayers caps the number of human players (bots fill the
+   * remaining slots).  seed makes every random decision reproducible; rng
+   * may replace the built-in seeded generator with any function returning
+   * floats in [0, 1).  winConditions overrides DEFAULT_WIN_CONDITIONS.
+   * map is a map package loaded by maps.js; the default map otherwise.
+   */
+  constructor(options = {}) {
+    this.maxPlayers = options.maxPlayers || MAX_PLAYERS_PER_GAME;
+    this.map = options.map || getMap(DEFAULT_MAP_ID);
+    if (!this.map) throw new Error('No map to play on');
+    this.gridW = this.map.width;
+    this.gridH = this.map.height;
+    this.winConditions = { ...DEFAULT_WIN_CONDITIONS, ...options.winConditions };
+    this.seed = normalizeSeed(options.seed !== undefined ? options.seed : Math.floor(Math.random() * 4294967296));
+    this.rng = options.rng || createRng(this.seed);
+    // Initialise each grid cell; troops property remains for legacy but is
+    // unused in the gameplay.  buildings lists the types built on the cell.
+    this.cells = new Array(this.gridW * this.gridH);
+    for (let y = 0; y < this.gridH; y++) {
+      for (let x = 0; x < this.gridW; x++) {
+        const idx = y * this.gridW + x;
+        const terrain = TERRAIN_CODES[this.map.terrain[y][x]];
+        this.cells[idx] = {
+          terrain,
+          land: TERRAINS[terrain].land,
+          owner: null,
+          troops: 0,
+          buildings: [],
+        };
+      }
+    }
+    // players[id] = { id, name, color, cells: Set<int>, troops, gold }.
+    // Without a prototype, ids sent by clients such as "constructor" find
+    // no player.
+    this.players = Object.create(null);
+    this.bots = [];
+    // Indices of cells changed since the last delta, and the sequence number
+    // of the last delta taken.
+    this.dirty = new Set();
+    this.seq = 0;
+    // Number of update() calls so far
+    this.tick = 0;
+    this.landCount = this.cells.filter((c) => c.land).length;
+    // Final results once a win condition is met; the game is frozen then
+    this.result = null;
+    // Reports of fights between players, drained by takeCombatReports()
+    this.combatReports = [];
+    // Notable happenings for the event feed, drained by takeFeed():
+    // { tick, event, playerId, name, ... }
+    this.feed = [];
+    // Active attack orders, advanced every tick:
+    // { id, playerId, targetId, troops, cells: indices fought last tick }
+    this.fronts = [];
+    this.nextFrontId = 1;
+    // Boats at sea, moved every tick: { id, playerId, targetId, troops,
+    // cell, route: indices still to enter, the landing cell last, points }
+    this.boats = [];
+    this.nextBoatId = 1;
+    // Treaties and proposals between players (see diplomacy.js)
+    this.diplomacy = new Diplomacy((reason, details) => this.reject(reason, details));
+    // Why the last action was rejected: { reason, details }, see REJECTIONS
+    this.rejection = null;
+  }
+  /**
+   * Record why an action is rejected and return false, so that actions can
+   * `return this.reject(...)`.
+   */
+  reject(reason, details = {}) {
+    this.rejection = { reason, details };
+    return false;
+  }
+  /**
+   * The cell at (x, y), or null when the coordinates are off the grid.
+   */
+  cellAt(x, y) {
+    if (!Number.isInteger(x) || !Number.isInteger(y)) return null;
+    if (x < 0 || y < 0 || x >= this.gridW || y >= this.gridH) return null;
+    return this.cells[y * this.gridW + x];
+  }
+  /**
+   * True if players may spawn at (x, y): anywhere on maps without spawn
+   * zones, otherwise inside one of them.
+   */
+  inSpawnZone(x, y) {
+    const zones = this.map.spawnZones;
+    return zones.length === 0 || zones.some((z) => x >= z.x && x < z.x + z.w && y >= z.y && y < z.y + z.h);
+  }
+  /**
+   * Random point of the grid where a player may spawn.
+   */
+  randomSpawnPoint() {
+    const zones = this.map.spawnZones;
+    if (zones.length === 0) return { x: this.randomInt(this.gridW), y: this.randomInt(this.gridH) };
+    const zone = zones[this.randomInt(zones.length)];
+    return { x: zone.x + this.randomInt(zone.w), y: zone.y + this.randomInt(zone.h) };
+  }
+  /**
+   * Random integer in [0, n) drawn from the game's generator.
+   */
+  randomInt(n) {
+    return Math.floor(this.rng() * n);
+  }
+  /**
+   * Random base-36 identifier drawn from the game's generator.
+   */
+  randomId(length) {
+    let id = '';
+    for (let i = 0; i < length; i++) {
+      id += this.randomInt(36).toString(36);
+    }
+    return id;
+  }
+  /**
+   * Number of human (non-bot) players currently in the game.
+   */
+  humanCount() {
+    return Object.keys(this.players).length - this.bots.length;
+  }
+  /**
+   * Add a new player to the game.  Returns false if the maximum number of
+   * human players has been reached.
+   */
+  addPlayer(id, name) {
+    if (this.humanCount() >= this.maxPlayers) return this.reject(REJECTIONS.GAME_FULL, { maxPlayers: this.maxPlayers });
+    // Start with no territory and zero troops.  Troops will be granted on
+    // spawn.
+    this.players[id] = this.createPlayer(id, name);
+    this.announce('joined', this.players[id]);
+    return true;
+  }
+  /**
+   * Build a fresh player record.  spawned and eliminatedAt track the
+   * player's life cycle; stats feed the end-of-match results.
+   */
+  createPlayer(id, name) {
+    return {
+      id,
+      name,
+      color: randomColor(this.rng),
+      cells: new Set(),
+      troops: 0,
+      gold: 0,
+      spawned: false,
+      eliminatedAt: null,
+      stats: { captured: 0, lost: 0, peakTerritory: 0 },
+    };
+  }
+  /**
+   * Add a human player with a generated id.  Returns the id, or false if
+   * the game is full.
+   */
+  join(name) {
+    if (this.humanCount() >= this.maxPlayers) return this.reject(REJECTIONS.GAME_FULL, { maxPlayers: this.maxPlayers });
+    const id = this.randomId(9);
+    this.addPlayer(id, name);
+    return id;
+  }
+  /**
+   * Add a bot to the game and return it.  strategy is one of
+   * STRATEGY_NAMES and difficulty one of DIFFICULTIES; 'mixed' picks one at
+   * random.
+   */
+  addBot(strategy = 'mixed', difficulty = 'normal') {
+    const botId = 'bot-' + this.randomId(5);
+    const bot = this.createPlayer(botId, 'Bot');
+    const difficulties = Object.keys(DIFFICULTIES);
+    bot.strategy = STRATEGY_NAMES.includes(strategy) ? strategy : STRATEGY_NAMES[this.randomInt(STRATEGY_NAMES.length)];
+    bot.difficulty = DIFFICULTIES[difficulty] ? difficulty : difficulties[this.randomInt(difficulties.length)];
+    this.bots.push(bot);
+    this.players[botId] = bot;
+    this.announce('joined', bot, { bot: true });
+    return bot;
+  }
+  /**
+   * Remove a player (or bot) from the game and free their territory.
+   */
+  removePlayer(id) {
+    const player = this.players[id];
+    if (!player) return;
+    const botIdx = this.bots.indexOf(player);
+    this.announce('left', player, { bot: botIdx >= 0 });
+    if (botIdx >= 0) this.bots.splice(botIdx, 1);
+    this.fronts = this.fronts.filter((f) => f.playerId !== id);
+    this.boats = this.boats.filter((b) => b.playerId !== id);
+    this.diplomacy.removePlayer(id);
+    for (const cellIdx of player.cells) {
+      const cell = this.cells[cellIdx];
+      cell.owner = null;
+      cell.troops = 0;
+      cell.buildings = [];
+      this.dirty.add(cellIdx);
+    }
+    delete this.players[id];
+  }
+  /**
+   * Hand a human player's empire over to a bot controller.
+   */
+  handOverToBot(id) {
+    const player = this.players[id];
+    if (!player || this.bots.includes(player)) return this.reject(REJECTIONS.UNKNOWN_PLAYER);
+    player.disconnected = false;
+    this.announce('handed_over', player);
+    player.name += ' (bot)';
+    player.strategy = STRATEGY_NAMES[this.randomInt(STRATEGY_NAMES.length)];
+    player.difficulty = 'normal';
+    this.bots.push(player);
+    return true;
+  }
+  /**
+   * Apply an externally triggered command, e.g. { type: 'spawn', playerId,
+   * x, y }.  Every change that does not come from update() goes through
+   * here so that a match can be recorded and replayed.  Returns a falsy
+   * value when the command was rejected, with the reason in this.rejection.
+   */
+  applyAction(action) {
+    this.rejection = null;
+    // Once the match is over only roster changes are accepted
+    if (this.result && !ROSTER_ACTIONS.includes(action.type)) return this.reject(REJECTIONS.GAME_OVER);
+    switch (action.type) {
+      case 'join':
+        return this.join(action.name);
+      case 'add_player':
+        return this.addPlayer(action.playerId, action.name);
+      case 'add_bot':
+        return this.addBot(action.strategy, action.difficulty).id;
+      case 'remove':
+        if (!this.players[action.playerId]) return this.reject(REJECTIONS.UNKNOWN_PLAYER);
+        this.removePlayer(action.playerId);
+        return true;
+      case 'hand_over':
+        return this.handOverToBot(action.playerId);
+      case 'spawn':
+        return this.spawn(action.playerId, action.x, action.y);
+      case 'attack':
+        return this.attack(action.playerId, action.srcX, action.srcY, action.dstX, action.dstY, action.troopsPercent);
+      case 'launch_boat': {
+        const { playerId, srcX, srcY, dstX, dstY, troopsPercent } = action;
+        return this.launchBoat(playerId, srcX, srcY, dstX, dstY, troopsPercent);
+      }
+      case 'cancel_attack':
+        return this.cancelFront(action.playerId, action.frontId);
+      case 'expand':
+        return this.expand(action.playerId, action.x, action.y, action.troopsPercent);
+      case 'build':
+        return this.build(action.playerId, action.building, action.x, action.y);
+      case 'propose_treaty':
+        return this.proposeTreaty(action.playerId, action.targetId, action.kind);
+      case 'accept_treaty':
+        return this.acceptTreaty(action.playerId, action.proposalId);
+      case 'decline_treaty':
+        return this.diplomacy.decline(this.tick, action.playerId, action.proposalId);
+      case 'break_treaty':
+        return this.diplomacy.breakTreaty(this.tick, action.playerId, action.targetId);
+      default:
+        return this.reject(REJECTIONS.UNKNOWN_ACTION, { type: action.type });
+    }
+  }
+  /**
+   * Spawn a player on an empty land cell.  Grants initial troops to the
+   * player and claims the chosen cell; a player spawns once per round.
+   */
+  spawn(id, x, y) {
+    const player = this.players[id];
+    if (!player) return this.reject(REJECTIONS.UNKNOWN_PLAYER);
+    if (player.eliminatedAt !== null) return this.reject(REJECTIONS.ELIMINATED);
+    if (player.spawned) return this.reject(REJECTIONS.ALREADY_SPAWNED);
+    const cell = this.cellAt(x, y);
+    if (!cell) return this.reject(REJECTIONS.INVALID_CELL, { x, y });
+    if (!cell.land) return this.reject(REJECTIONS.NOT_LAND, { x, y });
+    if (!this.inSpawnZone(x, y)) return this.reject(REJECTIONS.OUTSIDE_SPAWN_ZONE, { x, y });
+    if (cell.owner) return this.reject(REJECTIONS.CELL_TAKEN, { x, y, ownerId: cell.owner });
+    const idx = y * this.gridW + x;
+    cell.owner = id;
+    cell.troops = 0;
+    cell.buildings = [];
+    player.cells.add(idx);
+    player.spawned = true;
+    player.stats.captured += 1;
+    this.dirty.add(idx);
+    // grant starting troops
+    player.troops += 10;
+    return true;
+  }
+  /**
+   * Order an attack from a source cell on the owner of a destination cell
+   * (or on unclaimed land) using a fraction of the player's pooled troops.
+   * The percent argument should be in the range 0–1.  The troops leave the
+   * pool for an attack order which advances along the whole border each
+   * tick (see advanceFronts).  Returns the front, or false if the attack
+   * was invalid.
+   */
+  attack(id, srcX, srcY, dstX, dstY, percent) {
+    const srcCell = this.cellAt(srcX, srcY);
+    const dstCell = this.cellAt(dstX, dstY);
+    const player = this.players[id];
+    if (!player) return this.reject(REJECTIONS.UNKNOWN_PLAYER);
+    if (!srcCell) return this.reject(REJECTIONS.INVALID_CELL, { x: srcX, y: srcY });
+    if (!dstCell) return this.reject(REJECTIONS.INVALID_CELL, { x: dstX, y: dstY });
+    if (srcCell.owner !== id) return this.reject(REJECTIONS.NOT_OWNER, { x: srcX, y: srcY });
+    // Land attacks only reach neighbours; crossing the sea takes a boat
+    if (Math.max(Math.abs(dstX - srcX), Math.abs(dstY - srcY)) !== 1) {
+      return this.reject(REJECTIONS.NOT_ADJACENT, { port: hasEffect(srcCell, 'boats') });
+    }
+    if (!dstCell.land) return this.reject(REJECTIONS.NOT_LAND, { x: dstX, y: dstY });
+    if (!validPercent(percent)) return this.reject(REJECTIONS.INVALID_PERCENT, { percent });
+    // Compute troops to send.  Require at least one.
+    const totalTroops = player.troops;
+    const toSend = Math.floor(totalTroops * percent);
+    if (toSend < 1) return this.reject(REJECTIONS.INSUFFICIENT_TROOPS, { needed: 1, available: totalTroops });
+    // If dest belongs to attacker, do nothing (no reinforcement)
+    if (dstCell.owner === id) return this.reject(REJECTIONS.OWN_CELL, { x: dstX, y: dstY });
+    if (dstCell.owner && !this.players[dstCell.owner]) return this.reject(REJECTIONS.UNKNOWN_PLAYER);
+    if (dstCell.owner && this.diplomacy.atPeace(id, dstCell.owner)) {
+      return this.reject(REJECTIONS.AT_PEACE, { targetId: dstCell.owner });
+    }
+    return this.launchFront(id, dstCell.owner, toSend);
+  }
+  /**
+   * Move troops from a player's pool into an attack order against a target
+   * player (null for unclaimed land).  Orders against the same target merge.
+   * Returns the front.
+   */
+  launchFront(id, targetId, troops) {
+    const player = this.players[id];
+    player.troops -= troops;
+    let front = this.fronts.find((f) => f.playerId === id && f.targetId === targetId);
+    if (front) {
+      front.troops += troops;
+    } else {
+      front = { id: this.nextFrontId++, playerId: id, targetId, troops, cells: [] };
+      this.fronts.push(front);
+    }
+    return front;
+  }
+  /**
+   * Send a fraction of a player's pooled troops by boat from one of their
+   * ports to a land cell across the water.  The boat follows the cheapest
+   * sea route (see seaRoute) over the following ticks and lands its troops
+   * on arrival (see advanceBoats).  Returns the boat, or false if the
+   * crossing is invalid.
+   */
+  launchBoat(id, srcX, srcY, dstX, dstY, percent) {
+    const player = this.players[id];
+    if (!player) return this.reject(REJECTIONS.UNKNOWN_PLAYER);
+    if (player.eliminatedAt !== null) return this.reject(REJECTIONS.ELIMINATED);
+    const srcCell = this.cellAt(srcX, srcY);
+    const dstCell = this.cellAt(dstX, dstY);
+    if (!srcCell) return this.reject(REJECTIONS.INVALID_CELL, { x: srcX, y: srcY });
+    if (!dstCell) return this.reject(REJECTIONS.INVALID_CELL, { x: dstX, y: dstY });
+    if (srcCell.owner !== id) return this.reject(REJECTIONS.NOT_OWNER, { x: srcX, y: srcY });
+    if (!hasEffect(srcCell, 'boats')) return this.reject(REJECTIONS.NO_PORT, { x: srcX, y: srcY });
+    if (!dstCell.land) return this.reject(REJECTIONS.NOT_LAND, { x: dstX, y: dstY });
+    if (dstCell.owner === id) return this.reject(REJECTIONS.OWN_CELL, { x: dstX, y: dstY });
+    if (dstCell.owner && this.diplomacy.atPeace(id, dstCell.owner)) {
+      return this.reject(REJECTIONS.AT_PEACE, { targetId: dstCell.owner });
+    }
+    if (!validPercent(percent)) return this.reject(REJECTIONS.INVALID_PERCENT, { percent });
+    const toSend = Math.floor(player.troops * percent);
+    if (toSend < 1) return this.reject(REJECTIONS.INSUFFICIENT_TROOPS, { needed: 1, available: player.troops });
+    if (this.boats.filter((b) => b.playerId === id).length >= MAX_BOATS_PER_PLAYER) {
+      return this.reject(REJECTIONS.TOO_MANY_BOATS, { max: MAX_BOATS_PER_PLAYER });
+    }
+    const srcIdx = srcY * this.gridW + srcX;
+    const dstIdx = dstY * this.gridW + dstX;
+    const route = this.seaRoute([srcIdx], (idx) => idx === dstIdx);
+    if (!route) return this.reject(REJECTIONS.NO_SEA_ROUTE, { x: dstX, y: dstY });
+    player.troops -= toSend;
+    const boat = {
+      id: this.nextBoatId++,
+      playerId: id,
+      targetId: dstCell.owner,
+      troops: toSend,
+      cell: route.shift(),
+      route,
+      points: 0,
+    };
+    this.boats.push(boat);
+    return boat;
+  }
+  /**
+   * Cheapest sea route from any of the given ports (cell indices) to a land
+   * cell for which isLanding(idx) is true, sailing over water in any of the
+   * eight directions.  Returns the port it leaves from, the water cells to
+   * cross and the landing cell, or null if no such cell can be reached.
+   */
+  seaRoute(ports, isLanding) {
+    const cost = new Array(this.cells.length).fill(Infinity);
+    const previous = new Int32Array(this.cells.length).fill(-1);
+    // Cells by cost: sail costs are small integers, so a list of buckets
+    // does the job of a priority queue
+    const buckets = [ports.slice()];
+    for (const portIdx of ports) cost[portIdx] = 0;
+    for (let c = 0; c < buckets.length; c++) {
+      for (const idx of buckets[c] || []) {
+        if (cost[idx] !== c) continue;
+        const x = idx % this.gridW;
+        const y = Math.floor(idx / this.gridW);
+        for (const dir of DIRECTIONS) {
+          const nx = x + dir.dx;
+          const ny = y + dir.dy;
+          if (nx < 0 || ny < 0 || nx >= this.gridW || ny >= this.gridH) continue;
+          const nidx = ny * this.gridW + nx;
+          const ncell = this.cells[nidx];
+          if (ncell.land) {
+            // Boats land from the water, not straight from the port
+            if (c === 0 || !isLanding(nidx)) continue;
+            const route = [nidx];
+            for (let at = idx; at !== -1; at = previous[at]) route.unshift(at);
+            return route;
+          }
+          const next = c + TERRAINS[ncell.terrain].sailCost;
+          if (next >= cost[nidx]) continue;
+          cost[nidx] = next;
+          previous[nidx] = idx;
+          (buckets[next] = buckets[next] || []).push(nidx);
+        }
+      }
+    }
+    return null;
+  }
+  /**
+   * Move every boat along its route with the points it earns this tick.
+   * Boats that reach the end of their route land (see landBoat); boats of
+   * eliminated players sink.
+   */
+  advanceBoats() {
+    for (const boat of this.boats) {
+      const player = this.players[boat.playerId];
+      if (player.eliminatedAt !== null) {
+        boat.troops = 0;
+        continue;
+      }
+      boat.points += BOAT_SPEED;
+      while (boat.route.length > 1) {
+        const sailCost = TERRAINS[this.cells[boat.route[0]].terrain].sailCost;
+        if (boat.points < sailCost) break;
+        boat.points -= sailCost;
+        boat.cell = boat.route.shift();
+      }
+      if (boat.route.length === 1 && boat.points >= 1) this.landBoat(boat);
+    }
+    this.boats = this.boats.filter((b) => b.troops > 0);
+  }
+  /**
+   * Land a boat's troops on the cell at the end of its route.  Landing on
+   * the player's own land, or on a partner's since the crossing began,
+   * returns the troops to the pool.  Otherwise they fight for the cell and
+   * the survivors of a successful landing press on with an attack order
+   * against whoever held it.
+   */
+  landBoat(boat) {
+    const player = this.players[boat.playerId];
+    const idx = boat.route[0];
+    const cell = this.cells[idx];
+    const defenderId = cell.owner;
+    const troops = boat.troops;
+    boat.troops = 0;
+    if (defenderId === player.id || (defenderId && this.diplomacy.atPeace(player.id, defenderId))) {
+      player.troops += troops;
+      return;
+    }
+    const outcome = this.fight(player, idx, troops);
+    if (defenderId) {
+      this.combatReports.push({
+        tick: this.tick,
+        boatId: boat.id,
+        attackerId: player.id,
+        defenderId,
+        cellsCaptured: outcome.captured ? 1 : 0,
+        attackerLosses: outcome.attackerLosses,
+        defenderLosses: outcome.defenderLosses,
+      });
+    }
+    const survivors = troops - outcome.attackerLosses;
+    if (outcome.captured && survivors >= 1) {
+      player.troops += survivors;
+      this.launchFront(player.id, defenderId, survivors);
+    }
+  }
+  /**
+   * Cancel one of a player's attack orders; its remaining troops go back to
+   * the pool.
+   */
+  cancelFront(id, frontId) {
+    const front = this.fronts.find((f) => f.id === frontId && f.playerId === id);
+    if (!front) return this.reject(REJECTIONS.UNKNOWN_FRONT, { frontId });
+    this.players[id].troops += Math.floor(front.troops);
+    this.fronts.splice(this.fronts.indexOf(front), 1);
+    return true;
+  }
+  /**
+   * Propose an alliance or a truce to another player still in the game.
+   */
+  proposeTreaty(id, targetId, kind) {
+    const player = this.players[id];
+    const target = this.players[targetId];
+    if (!player || !target) return this.reject(REJECTIONS.UNKNOWN_PLAYER);
+    if (player.eliminatedAt !== null || target.eliminatedAt !== null) return this.reject(REJECTIONS.ELIMINATED);
+    return this.diplomacy.propose(this.tick, id, targetId, kind);
+  }
+  /**
+   * Accept a treaty proposal.  Attack orders between the two new partners
+   * are called off and their troops return to the pools.
+   */
+  acceptTreaty(id, proposalId) {
+    const treaty = this.diplomacy.accept(this.tick, id, proposalId);
+    if (!treaty) return false;
+    const [a, b] = treaty.playerIds;
+    for (const front of this.fronts.slice()) {
+      if ((front.playerId === a && front.targetId === b) || (front.playerId === b && front.targetId === a)) {
+        this.cancelFront(front.playerId, front.id);
+      }
+    }
+    return treaty;
+  }
+  /**
+   * Return the diplomacy events gathered since the previous call.
+   */
+  takeDiplomacyEvents() {
+    return this.diplomacy.takeEvents();
+  }
+  /**
+   * Cells a front can attack: land held by its target (or unclaimed) that the
+   * attacker can reach, smoothest first (most attacker neighbours), then by
+   * index so that the order is deterministic.
+   */
+  frontBorder(front) {
+    const border = new Map();
+    for (const idx of this.players[front.playerId].cells) {
+      const x = idx % this.gridW;
+      const y = Math.floor(idx / this.gridW);
+      for (const t of this.reachableTargets(front.playerId, x, y)) {
+        const tIdx = t.y * this.gridW + t.x;
+        const cell = this.cells[tIdx];
+        if (!cell.land || cell.owner !== front.targetId || border.has(tIdx)) continue;
+        border.set(tIdx, this.countNeighboursOwnedBy(t.x, t.y, front.playerId));
+      }
+    }
+    return Array.from(border.entries())
+      .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+      .map((entry) => entry[0]);
+  }
+  /**
+   * Push every attack order one step: each front fights up to one border cell
+   * per FRONT_TROOPS_PER_CELL troops it carries, committing just enough
+   * troops to beat each cell's defence.  Fronts with no troops or no border
+   * left end, returning what remains to the pool.
+   */
+  advanceFronts() {
+    for (const front of this.fronts) {
+      const player = this.players[front.playerId];
+      front.cells = [];
+      const border = this.frontBorder(front);
+      const quota = Math.min(border.length, Math.max(1, Math.ceil(front.troops / FRONT_TROOPS_PER_CELL)));
+      const defender = front.targetId ? this.players[front.targetId] : null;
+      const report = { cellsCaptured: 0, attackerLosses: 0, defenderLosses: 0 };
+      for (let i = 0; i < quota && front.troops >= 1; i++) {
+        const idx = border[i];
+        const sent = Math.min(Math.floor(front.troops), Math.floor(this.defensePower(idx)) + 1);
+        const outcome = this.fight(player, idx, sent);
+        front.troops -= outcome.attackerLosses;
+        front.cells.push(idx);
+        if (outcome.captured) report.cellsCaptured += 1;
+        report.attackerLosses += outcome.attackerLosses;
+        report.defenderLosses += outcome.defenderLosses;
+      }
+      // Fights between players are reported to both sides
+      if (defender && front.cells.length) {
+        this.combatReports.push({
+          tick: this.tick,
+          frontId: front.id,
+          attackerId: player.id,
+          defenderId: defender.id,
+          ...report,
+        });
+      }
+      if (front.troops < 1 || border.length === 0) {
+        player.troops += Math.floor(front.troops);
+        front.troops = 0;
+      }
+    }
+    this.fronts = this.fronts.filter((f) => f.troops > 0);
+  }
+  /**
+   * Attack the cell at idx with `sent` troops against its local garrison
+   * (see combat.js); unclaimed land only offers token resistance.  Transfers
+   * the cell on victory and returns the combat outcome.
+   */
+  fight(player, idx, sent) {
+    const cell = this.cells[idx];
+    const defender = cell.owner ? this.players[cell.owner] : null;
+    let outcome;
+    if (defender) {
+      const x = idx % this.gridW;
+      const y = Math.floor(idx / this.gridW);
+      const friendly = this.countNeighboursOwnedBy(x, y, defender.id);
+      const garrison = garrisonSize(defender.troops, defender.cells.size, friendly);
+      outcome = resolveCombat(sent, garrison, defenseMultiplier(cell, friendly));
+      defender.troops -= outcome.defenderLosses;
+    } else {
+      outcome = resolveCombat(sent, NEUTRAL_GARRISON, terrainDefense(cell));
+    }
+    if (outcome.captured) {
+      if (defender && cell.buildings.includes('city')) {
+        this.announce('city_captured', player, { targetId: defender.id, targetName: defender.name });
+      }
+      if (defender) {
+        defender.cells.delete(idx);
+        defender.stats.lost += 1;
+      }
+      cell.owner = player.id;
+      cell.buildings = [];
+      player.cells.add(idx);
+      player.stats.captured += 1;
+      this.dirty.add(idx);
+    }
+    return outcome;
+  }
+  /**
+   * Number of the eight neighbours of (x, y) owned by a player.
+   */
+  countNeighboursOwnedBy(x, y, id) {
+    let count = 0;
+    for (const dir of DIRECTIONS) {
+      const nx = x + dir.dx;
+      const ny = y + dir.dy;
+      if (nx < 0 || ny < 0 || nx >= this.gridW || ny >= this.gridH) continue;
+      if (this.cells[ny * this.gridW + nx].owner === id) count += 1;
+    }
+    return count;
+  }
+  /**
+   * Defence power of the cell at idx against an attack: its garrison with
+   * every bonus applied.  Unclaimed land only has its terrain to defend it.
+   */
+  defensePower(idx) {
+    const cell = this.cells[idx];
+    const defender = cell.owner ? this.players[cell.owner] : null;
+    if (!defender) return NEUTRAL_GARRISON * terrainDefense(cell);
+    const x = idx % this.gridW;
+    const y = Math.floor(idx / this.gridW);
+    const friendly = this.countNeighboursOwnedBy(x, y, defender.id);
+    return garrisonSize(defender.troops, defender.cells.size, friendly) * defenseMultiplier(cell, friendly);
+  }
+  /**
+   * Add an entry about a player to the event feed.
+   */
+  announce(event, player, details = {}) {
+    this.feed.push({ tick: this.tick, event, playerId: player.id, name: player.name, ...details });
+  }
+  /**
+   * Return the event feed entries gathered since the previous call.
+   */
+  takeFeed() {
+    const feed = this.feed;
+    this.feed = [];
+    return feed;
+  }
+  /**
+   * Return the combat reports gathered since the previous call.
+   */
+  takeCombatReports() {
+    const reports = this.combatReports;
+    this.combatReports = [];
+    return reports;
+  }
+  /**
+   * List the cells an attack from (x, y) can reach that the player does not
+   * own: its eight neighbours.  Targets across the water take a boat (see
+   * launchBoat).
+   */
+  reachableTargets(id, x, y) {
+    const targets = [];
+    for (let j = -1; j <= 1; j++) {
+      for (let i = -1; i <= 1; i++) {
+        if (i === 0 && j === 0) continue;
+        const nx = x + i;
+        const ny = y + j;
+        if (nx < 0 || ny < 0 || nx >= this.gridW || ny >= this.gridH) continue;
+        const nidx = ny * this.gridW + nx;
+        const ncell = this.cells[nidx];
+        if (!ncell) continue;
+        if (!ncell.owner || ncell.owner !== id) {
+          targets.push({ x: nx, y: ny });
+        }
+      }
+    }
+    return targets;
+  }
+  /**
+   * True if any of the eight neighbours of (x, y) is water.
+   */
+  adjacentToWater(x, y) {
+    for (const dir of DIRECTIONS) {
+      const nx = x + dir.dx;
+      const ny = y + dir.dy;
+      if (nx < 0 || ny < 0 || nx >= this.gridW || ny >= this.gridH) continue;
+      if (!this.cells[ny * this.gridW + nx].land) return true;
+    }
+    return false;
+  }
+  /**
+   * Expand from a source cell into all neighbouring enemy or unclaimed cells.
+   * Sends the specified fraction of troops divided evenly among attack
+   * orders against every neighbouring target.
+   */
+  expand(id, x, y, percent) {
+    const player = this.players[id];
+    if (!player) return this.reject(REJECTIONS.UNKNOWN_PLAYER);
+    const srcCell = this.cellAt(x, y);
+    if (!srcCell) return this.reject(REJECTIONS.INVALID_CELL, { x, y });
+    if (srcCell.owner !== id) return this.reject(REJECTIONS.NOT_OWNER, { x, y });
+    if (!validPercent(percent)) return this.reject(REJECTIONS.INVALID_PERCENT, { percent });
+    // One order per distinct target among the reachable land cells
+    const targetIds = [];
+    for (const t of this.reachableTargets(id, x, y)) {
+      const cell = this.cells[t.y * this.gridW + t.x];
+      if (!cell.land || targetIds.includes(cell.owner)) continue;
+      if (cell.owner && this.diplomacy.atPeace(id, cell.owner)) continue;
+      targetIds.push(cell.owner);
+    }
+    if (targetIds.length === 0) return this.reject(REJECTIONS.NO_TARGETS, { x, y });
+    // Divide the troops across all targets
+    const per = Math.floor(Math.floor(player.troops * percent) / targetIds.length);
+    if (per < 1) {
+      return this.reject(REJECTIONS.INSUFFICIENT_TROOPS, { needed: targetIds.length, available: player.troops });
+    }
+    for (const targetId of targetIds) {
+      this.launchFront(id, targetId, per);
+    }
+    return true;
+  }
+  /**
+   * Build a building of the catalog (see buildings.js) on one of the
+   * player's cells, paying its cost in gold.  Returns false if the building
+   * is unknown, already there, or its prerequisites are not met.
+   */
+  build(id, type, x, y) {
+    const player = this.players[id];
+    if (!player) return this.reject(REJECTIONS.UNKNOWN_PLAYER);
+    const building = BUILDINGS[type];
+    if (!building) return this.reject(REJECTIONS.UNKNOWN_BUILDING, { building: type });
+    const cell = this.cellAt(x, y);
+    if (!cell) return this.reject(REJECTIONS.INVALID_CELL, { x, y });
+    if (cell.owner !== id || !cell.land) return this.reject(REJECTIONS.NOT_OWNER, { x, y });
+    if (cell.buildings.includes(type)) return this.reject(REJECTIONS.ALREADY_BUILT, { building: type });
+    if (building.requires.coast && !this.adjacentToWater(x, y)) {
+      return this.reject(REJECTIONS.NO_WATER_NEARBY, { x, y });
+    }
+    for (const required of building.requires.buildings || []) {
+      if (!this.ownsBuilding(player, required)) {
+        return this.reject(REJECTIONS.MISSING_PREREQUISITE, { building: type, requires: required });
+      }
+    }
+    if (player.gold < building.cost) {
+      return this.reject(REJECTIONS.INSUFFICIENT_GOLD, { needed: building.cost, available: player.gold });
+    }
+    player.gold -= building.cost;
+    cell.buildings.push(type);
+    this.dirty.add(y * this.gridW + x);
+    return true;
+  }
+  /**
+   * True if a building of the given type stands on one of the player's
+   * cells.
+   */
+  ownsBuilding(player, type) {
+    for (const idx of player.cells) {
+      if (this.cells[idx].buildings.includes(type)) return true;
+    }
+    return false;
+  }
+  /**
+   * Periodic update: grows troop pools, collects gold and executes bot
+   * actions.
+   */
+  update() {
+    if (this.result) return;
+    // Grow troops for each player, up to what their territory yields, and
+    // collect their income.  Gold never drops below zero: broke players
+    // simply stop saving up.
+    for (const pid in this.players) {
+      const player = this.players[pid];
+      const economy = this.economy(player);
+      const growth = Math.max(1, Math.floor(player.troops / 3)) + economy.growth;
+      player.troops = Math.min(player.troops + growth, economy.troopCap);
+      player.gold = Math.max(0, player.gold + economy.income);
+    }
+    this.diplomacy.update(this.tick);
+    // bot actions
+    for (const bot of this.bots) {
+      this.botAct(bot);
+    }
+    this.advanceBoats();
+    this.advanceFronts();
+    this.tick += 1;
+    this.trackStats();
+    this.result = this.checkWinConditions();
+  }
+  /**
+   * What a player's territory and buildings yield every tick: troopCap, the
+   * yield of their territory's terrain plus building bonuses; growth, troops
+   * added on top of natural growth; income, gold earned less upkeep.
+   */
+  economy(player) {
+    let territoryYield = 0;
+    let capBonus = 0;
+    let growth = 0;
+    let income = player.cells.size * GOLD_PER_CELL;
+    for (const cellIdx of player.cells) {
+      const cell = this.cells[cellIdx];
+      territoryYield += TERRAINS[cell.terrain].yield;
+      for (const type of cell.buildings) {
+        const { effects, upkeep } = BUILDINGS[type];
+        capBonus += effects.troopCap || 0;
+        growth += effects.growth || 0;
+        income += (effects.gold || 0) - upkeep;
+      }
+    }
+    return { troopCap: 5 + Math.floor(territoryYield / 2) + capBonus, growth, income };
+  }
+  /**
+   * Troop cap of a player, see economy().
+   */
+  maxTroops(player) {
+    return this.economy(player).troopCap;
+  }
+  /**
+   * Update peak territories and flag players who lost their last cell.
+   */
+  trackStats() {
+    for (const pid in this.players) {
+      const player = this.players[pid];
+      const size = player.cells.size;
+      if (size > player.stats.peakTerritory) player.stats.peakTerritory = size;
+      if (player.spawned && size === 0 && player.eliminatedAt === null) {
+        player.eliminatedAt = this.tick;
+        this.announce('eliminated', player);
+      }
+    }
+  }
+  /**
+   * Return the final results if a win condition is met, otherwise null.
+   */
+  checkWinConditions() {
+    const { landPercent, lastStanding, timeLimitTicks } = this.winConditions;
+    const contenders = Object.values(this.players).filter((p) => p.spawned);
+    const alive = contenders.filter((p) => p.eliminatedAt === null);
+    let leader = null;
+    for (const p of alive) {
+      if (!leader || p.cells.size > leader.cells.size) leader = p;
+    }
+    if (landPercent && leader && leader.cells.size >= this.landCount * landPercent) {
+      return this.buildResult('land', leader);
+    }
+    if (lastStanding && contenders.length >= 2 && alive.length === 1) {
+      return this.buildResult('last_standing', leader);
+    }
+    if (timeLimitTicks && this.tick >= timeLimitTicks) {
+      return this.buildResult('time_limit', leader);
+    }
+    return null;
+  }
+  /**
+   * Final results: winner, reason and every player's ranking and stats.
+   * Survivors rank by territory, eliminated players by how long they lasted.
+   */
+  buildResult(reason, winner) {
+    const rankings = Object.values(this.players)
+      .filter((p) => p.spawned)
+      .sort((a, b) => {
+        if ((a.eliminatedAt === null) !== (b.eliminatedAt === null)) return a.eliminatedAt === null ? -1 : 1;
+        if (a.eliminatedAt !== b.eliminatedAt) return b.eliminatedAt - a.eliminatedAt;
+        return b.cells.size - a.cells.size;
+      })
+      .map((p, i) => ({
+        rank: i + 1,
+        id: p.id,
+        name: p.name,
+        color: p.color,
+        bot: this.bots.includes(p),
+        territory: p.cells.size,
+        troops: p.troops,
+        peakTerritory: p.stats.peakTerritory,
+        captured: p.stats.captured,
+        lost: p.stats.lost,
+        eliminatedAt: p.eliminatedAt,
+      }));
+    return { reason, winnerId: winner ? winner.id : null, tick: this.tick, rankings };
+  }
+  /**
+   * Bot behaviour using pooled troops.  Landless bots spawn at random; the
+   * bot's strategy answers treaty proposals and decides everything else.
+   */
+  botAct(bot) {
+    if (bot.eliminatedAt !== null) return;
+    if (bot.cells.size === 0) {
+      // spawn
+      for (let i = 0; i < 50; i++) {
+        const { x, y } = this.randomSpawnPoint();
+        const idx = y * this.gridW + x;
+        const cell = this.cells[idx];
+        if (cell.land && !cell.owner) {
+          cell.owner = bot.id;
+          cell.buildings = [];
+          bot.cells.add(idx);
+          bot.troops = 10;
+          bot.spawned = true;
+          bot.stats.captured += 1;
+          this.dirty.add(idx);
+          return;
+        }
+      }
+      return;
+    }
+    const strategy = getStrategy(bot.strategy, bot.difficulty);
+    for (const proposal of this.diplomacy.proposalsTo(bot.id)) {
+      if (strategy.acceptsTreaty(this, bot, proposal)) this.acceptTreaty(bot.id, proposal.id);
+      else this.diplomacy.decline(this.tick, bot.id, proposal.id);
+    }
+    strategy.act(this, bot);
+  }
+  /**
+   * Everything needed to rebuild the game with fromSnapshot(): the settings,
+   * buildings, players and bots with their cells and pools, attack
+   * orders, boats, treaties and the state of the random generator.  Feed
+   * entries and reports not yet taken are left out.
+   */
+  toSnapshot() {
+    const buildings = {};
+    this.cells.forEach((c, idx) => {
+      if (c.buildings.length) buildings[idx] = [...c.buildings];
+    });
+    return {
+      mapId: this.map.id,
+      mapHash: this.map.hash,
+      maxPlayers: this.maxPlayers,
+      winConditions: this.winConditions,
+      seed: this.seed,
+      // A generator passed in through options cannot be saved
+      rngState: this.rng.state ? this.rng.state() : null,
+      tick: this.tick,
+      seq: this.seq,
+      result: this.result,
+      buildings,
+      // Cells are listed in the order players took them, which bots and
+      // fronts go by
+      players: Object.values(this.players).map((p) => ({
+        id: p.id,
+        name: p.name,
+        color: p.color,
+        cells: [...p.cells],
+        troops: p.troops,
+        gold: p.gold,
+        spawned: p.spawned,
+        eliminatedAt: p.eliminatedAt,
+        disconnected: !!p.disconnected,
+        stats: { ...p.stats },
+        strategy: p.strategy,
+        difficulty: p.difficulty,
+      })),
+      bots: this.bots.map((b) => b.id),
+      fronts: this.fronts.map((f) => ({ ...f, cells: [...f.cells] })),
+      nextFrontId: this.nextFrontId,
+      boats: this.boats.map((b) => ({ ...b, route: [...b.route] })),
+      nextBoatId: this.nextBoatId,
+      diplomacy: this.diplomacy.toSnapshot(),
+    };
+  }
+  /**
+   * Rebuild a game from toSnapshot() on the map it was played on.  Throws if
+   * the map changed since or the snapshot does not fit it.
+   */
+  static fromSnapshot(snapshot, map) {
+    if (!map || map.id !== snapshot.mapId || map.hash !== snapshot.mapHash) {
+      throw new Error(`Map ${snapshot.mapId} changed since the snapshot`);
+    }
+    const game = new Game({
+      map,
+      maxPlayers: snapshot.maxPlayers,
+      winConditions: snapshot.winConditions,
+      seed: snapshot.seed,
+    });
+    if (snapshot.rngState !== null) game.rng = createRng(game.seed, snapshot.rngState);
+    game.tick = snapshot.tick;
+    game.seq = snapshot.seq;
+    game.result = snapshot.result;
+    for (const saved of snapshot.players) {
+      const { cells, stats, ...fields } = saved;
+      for (const idx of cells) {
+        const cell = game.cells[idx];
+        if (!cell || !cell.land || cell.owner) throw new Error(`Cell ${idx} of ${saved.id} does not fit the map`);
+        cell.owner = saved.id;
+      }
+      game.players[saved.id] = { ...fields, cells: new Set(cells), stats: { ...stats } };
+    }
+    for (const idx in snapshot.buildings) {
+      game.cells[idx].buildings = snapshot.buildings[idx].filter((type) => BUILDINGS[type]);
+    }
+    game.bots = snapshot.bots.map((id) => game.players[id]).filter(Boolean);
+    game.fronts = snapshot.fronts.map((f) => ({ ...f, cells: [...f.cells] }));
+    game.nextFrontId = snapshot.nextFrontId;
+    game.boats = snapshot.boats.map((b) => ({ ...b, route: [...b.route] }));
+    game.nextBoatId = snapshot.nextBoatId;
+    game.diplomacy.restore(snapshot.diplomacy);
+    return game;
+  }
+  /**
+   * Public view of every player, including troop counts and territory
+   * sizes, so that clients need not count cells.
+   */
+  serializePlayers() {
+    const players = {};
+    for (const pid in this.players) {
+      const p = this.players[pid];
+      players[pid] = {
+        id: p.id,
+        name: p.name,
+        color: p.color,
+        troops: p.troops,
+        gold: Math.floor(p.gold),
+        territory: p.cells.size,
+        disconnected: !!p.disconnected,
+        eliminated: p.eliminatedAt !== null,
+      };
+    }
+    return players;
+  }
+  /**
+   * Prepare a full snapshot of the state for sending to clients.  The seq
+   * field tells the client which delta comes next; catalog lists the
+   * buildings players may build.
+   */
+  serializeState() {
+    const players = this.serializePlayers();
+    return {
+      seq: this.seq,
+      map: { id: this.map.id, name: this.map.name, spawnZones: this.map.spawnZones },
+      gridW: this.gridW,
+      gridH: this.gridH,
+      cells: this.cells.map((c) => ({
+        terrain: c.terrain,
+        land: c.land,
+        owner: c.owner,
+        troops: c.troops,
+        buildings: c.buildings,
+      })),
+      players,
+      catalog: serializeCatalog(),
+      fronts: this.serializeFronts(),
+      boats: this.serializeBoats(),
+      diplomacy: this.diplomacy.serialize(),
+    };
+  }
+  /**
+   * Public view of the boats at sea: where each one is and the route still
+   * ahead of it, ending on its landing cell.
+   */
+  serializeBoats() {
+    return this.boats.map((b) => ({
+      id: b.id,
+      playerId: b.playerId,
+      targetId: b.targetId,
+      troops: b.troops,
+      cell: b.cell,
+      route: b.route,
+    }));
+  }
+  /**
+   * Public view of the active attack orders, with the cells each one fought
+   * over during the last tick.
+   */
+  serializeFronts() {
+    return this.fronts.map((f) => ({
+      id: f.id,
+      playerId: f.playerId,
+      targetId: f.targetId,
+      troops: Math.floor(f.troops),
+      cells: f.cells,
+    }));
+  }
+  /**
+   * Collect the cells changed since the previous call as a delta and advance
+   * the sequence number.  Each change is { i, owner, buildings }; land never
+   * changes.  Players, fronts, boats and diplomacy are small and change
+   * often, so they are always sent in full.
+   */
+  takeDelta() {
+    const cells = [];
+    for (const idx of this.dirty) {
+      const c = this.cells[idx];
+      cells.push({ i: idx, owner: c.owner, buildings: c.buildings });
+    }
+    this.dirty.clear();
+    this.seq += 1;
+    return {
+      seq: this.seq,
+      cells,
+      players: this.serializePlayers(),
+      fronts: this.serializeFronts(),
+      boats: this.serializeBoats(),
+      diplomacy: this.diplomacy.serialize(),
+    };
+  }
+}
+
+module.exports = {
+  Game,
+  MAX_PLAYERS_PER_GAME,
+  MAX_BOATS_PER_PLAYER,
+  DEFAULT_WIN_CONDITIONS,
+  REJECTIONS,
+  createRng,
+  normalizeSeed,
+};
@@ -0,0 +1,320 @@
+// Map import tool.  Turns any PNG into a map package (see maps.js): pixels
+// are classed as land or water by brightness, the image is downsampled to
+// the grid, and the original image becomes the background.  Land cells take
+// their terrain from the colours of their pixels (greens are forest, sands
+// desert, browns mountain, anything else plains); water near the coast is
+// shallow and the open sea deep.
+//
+//   node import-map.js --input europe.png --name Europe --width 80 --players 6
+//
+// Options:
+//   --input FILE        PNG image of the map (required)
+//   --id ID             map id and package directory name (default: the
+//                       input file name)
+//   --out DIR           package directory (default maps/<id>)
+//   --name NAME         name shown in the lobby (default: the id)
+//   --width N           grid width in cells (default 100)
+//   --height N          grid height in cells (default: keeps the image's
+//                       aspect ratio)
+//   --threshold N       brightness (0-255) separating land from water
+//                       (default 200); transparent pixels are water
+//   --land dark|light   which side of the threshold is land (default dark)
+//   --coverage P        percentage of land pixels that makes a cell land
+//                       (default 50)
+//   --shallow N         water within N cells of land is shallow (default 1)
+//   --players N         recommended number of players (default 8)
+//   --spawn-zones LIST  semicolon separated x,y,w,h rectangles of cells
+//                       where players may spawn (default: anywhere)
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { MAPS_DIR, MAP_FORMAT_VERSION, MAX_MAP_SIDE, MAP_ID_PATTERN, checkMapData } = require('./maps');
+const { TERRAINS } = require('./terrain');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// Samples per pixel of each PNG colour type
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function parseArgs(argv) {
+  const options = {
+    input: null,
+    id: null,
+    out: null,
+    name: null,
+    width: 100,
+    height: null,
+    threshold: 200,
+    land: 'dark',
+    coverage: 50,
+    shallow: 1,
+    players: 8,
+    spawnZones: [],
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+    if (arg === '--input') options.input = next();
+    else if (arg === '--id') options.id = next();
+    else if (arg === '--out') options.out = next();
+    else if (arg === '--name') options.name = next();
+    else if (arg === '--width') options.width = parseInt(next(), 10);
+    else if (arg === '--height') options.height = parseInt(next(), 10);
+    else if (arg === '--threshold') options.threshold = parseInt(next(), 10);
+    else if (arg === '--land') options.land = next();
+    else if (arg === '--coverage') options.coverage = parseFloat(next());
+    else if (arg === '--shallow') options.shallow = parseInt(next(), 10);
+    else if (arg === '--players') options.players = parseInt(next(), 10);
+    else if (arg === '--spawn-zones') options.spawnZones = parseSpawnZones(next());
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  if (!options.input) throw new Error('--input is required');
+  options.id = options.id || path.basename(options.input, path.extname(options.input)).toLowerCase();
+  if (!MAP_ID_PATTERN.test(options.id)) throw new Error(`Invalid map id ${options.id}`);
+  options.out = options.out || path.join(MAPS_DIR, options.id);
+  options.name = options.name || options.id;
+  if (!['dark', 'light'].includes(options.land)) throw new Error('--land must be dark or light');
+  for (const key of ['width', 'threshold', 'coverage', 'shallow', 'players']) {
+    if (!Number.isFinite(options[key]) || options[key] < 0) throw new Error(`Invalid value for ${key}`);
+  }
+  if (options.height !== null && !(options.height >= 2)) throw new Error('Invalid value for height');
+  return options;
+}
+
+// "x,y,w,h;x,y,w,h" to a list of zones
+function parseSpawnZones(list) {
+  return list
+    .split(';')
+    .filter((zone) => zone.trim())
+    .map((zone) => {
+      const [x, y, w, h] = zone.split(',').map((n) => parseInt(n, 10));
+      return { x, y, w, h };
+    });
+}
+
+/**
+ * Decode a non-interlaced PNG into { width, height, rgba }, rgba holding
+ * four bytes per pixel.  Handles every colour type and bit depth.
+ */
+function decodePng(buffer) {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error('Not a PNG file');
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const data = [];
+  for (let pos = 8; pos < buffer.length; ) {
+    const length = buffer.readUInt32BE(pos);
+    const type = buffer.toString('ascii', pos + 4, pos + 8);
+    const chunk = buffer.subarray(pos + 8, pos + 8 + length);
+    pos += 12 + length;
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12],
+      };
+    } else if (type === 'PLTE') palette = chunk;
+    else if (type === 'tRNS') transparency = chunk;
+    else if (type === 'IDAT') data.push(chunk);
+    else if (type === 'IEND') break;
+  }
+  if (!header) throw new Error('Missing PNG header');
+  const { width, height, bitDepth, colorType } = header;
+  const channels = PNG_CHANNELS[colorType];
+  if (!channels) throw new Error(`Unknown PNG colour type ${colorType}`);
+  if (header.interlace) throw new Error('Interlaced PNG files are not supported');
+  if (colorType === 3 && !palette) throw new Error('Missing PNG palette');
+  const bitsPerPixel = channels * bitDepth;
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  // Filters look this many bytes to the left; at least one
+  const step = Math.max(1, bitsPerPixel >> 3);
+  const raw = zlib.inflateSync(Buffer.concat(data));
+  if (raw.length < (stride + 1) * height) throw new Error('Truncated PNG data');
+  const rgba = Buffer.alloc(width * height * 4);
+  let previous = Buffer.alloc(stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const row = Buffer.from(raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1)));
+    unfilterRow(filter, row, previous, step);
+    previous = row;
+    // Sample i of pixel x, scaled to 0-255 (palette indices are left alone)
+    const sample = (x, i) => {
+      if (bitDepth === 8) return row[x * channels + i];
+      if (bitDepth === 16) return row[(x * channels + i) * 2];
+      const bit = (x * channels + i) * bitDepth;
+      const value = (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & ((1 << bitDepth) - 1);
+      return colorType === 3 ? value : Math.round((value * 255) / ((1 << bitDepth) - 1));
+    };
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      if (colorType === 3) {
+        const index = sample(x, 0);
+        palette.copy(rgba, out, index * 3, index * 3 + 3);
+        rgba[out + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+      } else if (colorType === 0 || colorType === 4) {
+        rgba.fill(sample(x, 0), out, out + 3);
+        rgba[out + 3] = colorType === 4 ? sample(x, 1) : 255;
+      } else {
+        rgba[out] = sample(x, 0);
+        rgba[out + 1] = sample(x, 1);
+        rgba[out + 2] = sample(x, 2);
+        rgba[out + 3] = colorType === 6 ? sample(x, 3) : 255;
+      }
+    }
+  }
+  return { width, height, rgba };
+}
+
+// Undo the PNG filter of one row in place
+function unfilterRow(filter, row, previous, step) {
+  for (let i = 0; i < row.length; i++) {
+    const left = i >= step ? row[i - step] : 0;
+    const up = previous[i];
+    const upLeft = i >= step ? previous[i - step] : 0;
+    let predictor = 0;
+    if (filter === 1) predictor = left;
+    else if (filter === 2) predictor = up;
+    else if (filter === 3) predictor = (left + up) >> 1;
+    else if (filter === 4) {
+      const p = left + up - upLeft;
+      const pa = Math.abs(p - left);
+      const pb = Math.abs(p - up);
+      const pc = Math.abs(p - upLeft);
+      predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+    } else if (filter !== 0) throw new Error(`Unknown PNG filter ${filter}`);
+    row[i] = (row[i] + predictor) & 0xff;
+  }
+}
+
+// Land terrain suggested by the colour of a pixel
+function pixelTerrain(r, g, b) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const value = max / 255;
+  if (max === 0 || (max - min) / max < 0.2) return 'plains';
+  let hue;
+  if (max === r) hue = (60 * (g - b)) / (max - min);
+  else if (max === g) hue = 120 + (60 * (b - r)) / (max - min);
+  else hue = 240 + (60 * (r - g)) / (max - min);
+  if (hue < 0) hue += 360;
+  if (hue >= 70 && hue < 170) return value < 0.55 ? 'forest' : 'plains';
+  if (hue >= 20 && hue < 70 && value >= 0.6) return 'desert';
+  if (hue < 45 && value < 0.6) return 'mountain';
+  return 'plains';
+}
+
+/**
+ * Class every cell of a width x height grid laid over the image: a cell is
+ * land when at least coverage percent of its pixels are, and takes the
+ * terrain most of its land pixels suggest.  Returns a grid of terrain
+ * names, water being left as null.
+ */
+function buildLandTerrain(image, width, height, options) {
+  const isLand = (p) => {
+    if (image.rgba[p + 3] < 128) return false;
+    const brightness = 0.299 * image.rgba[p] + 0.587 * image.rgba[p + 1] + 0.114 * image.rgba[p + 2];
+    return options.land === 'dark' ? brightness < options.threshold : brightness >= options.threshold;
+  };
+  const rows = [];
+  for (let gy = 0; gy < height; gy++) {
+    const y0 = Math.floor((gy * image.height) / height);
+    const y1 = Math.max(y0 + 1, Math.floor(((gy + 1) * image.height) / height));
+    const row = [];
+    for (let gx = 0; gx < width; gx++) {
+      const x0 = Math.floor((gx * image.width) / width);
+      const x1 = Math.max(x0 + 1, Math.floor(((gx + 1) * image.width) / width));
+      let land = 0;
+      const votes = { plains: 0, forest: 0, mountain: 0, desert: 0 };
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const p = (y * image.width + x) * 4;
+          if (!isLand(p)) continue;
+          land += 1;
+          votes[pixelTerrain(image.rgba[p], image.rgba[p + 1], image.rgba[p + 2])] += 1;
+        }
+      }
+      if ((land * 100) / ((x1 - x0) * (y1 - y0)) < options.coverage) row.push(null);
+      else row.push(Object.keys(votes).reduce((best, t) => (votes[t] > votes[best] ? t : best), 'plains'));
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Fill the water of a terrain grid: shallow within `shallow` cells of land,
+ * deep beyond.  Returns one string of terrain codes per row.
+ */
+function fillWater(grid, shallow) {
+  const height = grid.length;
+  const width = grid[0].length;
+  const nearLand = (x, y) => {
+    for (let j = -shallow; j <= shallow; j++) {
+      for (let i = -shallow; i <= shallow; i++) {
+        const row = grid[y + j];
+        if (row && row[x + i]) return true;
+      }
+    }
+    return false;
+  };
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    let row = '';
+    for (let x = 0; x < width; x++) {
+      const terrain = grid[y][x] || (nearLand(x, y) ? 'shallow' : 'deep');
+      row += TERRAINS[terrain].code;
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+    const image = decodePng(fs.readFileSync(options.input));
+    const width = options.width;
+    const height = options.height || Math.max(2, Math.round((width * image.height) / image.width));
+    if (width < 2 || width > MAX_MAP_SIDE || height > MAX_MAP_SIDE) {
+      throw new Error(`The grid must be between 2 and ${MAX_MAP_SIDE} cells wide and high`);
+    }
+    const terrain = fillWater(buildLandTerrain(image, width, height, options), options.shallow);
+    const map = {
+      format: MAP_FORMAT_VERSION,
+      name: options.name,
+      width,
+      height,
+      recommendedPlayers: options.players,
+      background: 'background.png',
+      spawnZones: options.spawnZones,
+      terrain,
+    };
+    checkMapData(map);
+    fs.mkdirSync(options.out, { recursive: true });
+    fs.copyFileSync(options.input, path.join(options.out, map.background));
+    // One terrain row per line keeps the map readable in diffs
+    const json = JSON.stringify({ ...map, terrain: [] }, null, 2).replace(
+      '"terrain": []',
+      `"terrain": [\n${terrain.map((row) => `    "${row}"`).join(',\n')}\n  ]`
+    );
+    fs.writeFileSync(path.join(options.out, 'map.json'), json + '\n');
+    const counts = {};
+    for (const code of terrain.join('')) counts[code] = (counts[code] || 0) + 1;
+    const summary = Object.keys(TERRAINS)
+      .filter((name) => counts[TERRAINS[name].code])
+      .map((name) => `${name} ${((counts[TERRAINS[name].code] * 100) / (width * height)).toFixed(1)}%`);
+    console.log(`${options.out}: ${width}x${height} cells, ${summary.join(', ')}`);
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = { decodePng, buildLandTerrain, fillWater };
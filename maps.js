@@ -0,0 +1,182 @@
+// Map packages.  Each package is a directory of MAPS_DIR named after the map
+// id, holding a map.json and the background image it names:
+//
+//   { format, name, width, height, recommendedPlayers, background,
+//     spawnZones: [{ x, y, w, h }], terrain: ["wspf...", ...] }
+//
+// terrain has one string per row of the grid, one terrain code per cell
+// (see terrain.js).  Format 1 packages had land rows of '1' for land and
+// '0' for water instead; they load as plains surrounded by shallow water
+// along the coasts and deep water further out.  Spawn zones are optional
+// rectangles of cells; when a map has some, players may only spawn inside
+// them.  import-map.js builds packages from any PNG.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { TERRAIN_CODES } = require('./terrain');
+
+const MAPS_DIR = process.env.MAPS_DIR || path.join(__dirname, 'maps');
+const MAP_FORMAT_VERSION = 2;
+const DEFAULT_MAP_ID = 'world';
+const MAX_MAP_SIDE = 400;
+const MAP_ID_PATTERN = /^[a-z0-9_-]{1,40}$/;
+// Content types of the background images a package may hold
+const IMAGE_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg' };
+
+// Loaded packages: Map<mapId, map>, filled on first use
+let maps = null;
+
+// Throw unless a value is an integer in [min, max]
+function checkInteger(value, min, max, what) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`${what} must be an integer between ${min} and ${max}`);
+  }
+}
+
+// Turn format 1 land rows into terrain rows: land is plains, water next to
+// land is shallow and the open sea deep.
+function landToTerrain(land) {
+  const isLand = (x, y) => y >= 0 && y < land.length && x >= 0 && x < land[y].length && land[y][x] === '1';
+  return land.map((row, y) =>
+    [...row]
+      .map((c, x) => {
+        if (c === '1') return 'p';
+        for (let j = -1; j <= 1; j++) {
+          for (let i = -1; i <= 1; i++) {
+            if (isLand(x + i, y + j)) return 's';
+          }
+        }
+        return 'w';
+      })
+      .join('')
+  );
+}
+
+/**
+ * Check the contents of a map.json, bringing older formats up to date in
+ * place; throws if they are invalid.
+ */
+function checkMapData(data) {
+  if (data.format === 1 && Array.isArray(data.land) && data.land.every((row) => typeof row === 'string')) {
+    data.terrain = landToTerrain(data.land);
+    delete data.land;
+    data.format = MAP_FORMAT_VERSION;
+  }
+  if (data.format !== MAP_FORMAT_VERSION) throw new Error(`Unsupported map format ${data.format}`);
+  if (typeof data.name !== 'string' || !data.name.trim()) throw new Error('Missing map name');
+  checkInteger(data.width, 2, MAX_MAP_SIDE, 'width');
+  checkInteger(data.height, 2, MAX_MAP_SIDE, 'height');
+  checkInteger(data.recommendedPlayers, 1, 100, 'recommendedPlayers');
+  if (!Array.isArray(data.terrain) || data.terrain.length !== data.height) {
+    throw new Error('terrain must have one row per line');
+  }
+  for (const row of data.terrain) {
+    if (typeof row !== 'string' || row.length !== data.width || [...row].some((c) => !TERRAIN_CODES[c])) {
+      throw new Error(`terrain rows must be ${data.width} terrain codes`);
+    }
+  }
+  const spawnZones = data.spawnZones || [];
+  if (!Array.isArray(spawnZones)) throw new Error('spawnZones must be a list');
+  for (const zone of spawnZones) {
+    checkInteger(zone.x, 0, data.width - 1, 'spawn zone x');
+    checkInteger(zone.y, 0, data.height - 1, 'spawn zone y');
+    checkInteger(zone.w, 1, data.width - zone.x, 'spawn zone w');
+    checkInteger(zone.h, 1, data.height - zone.y, 'spawn zone h');
+  }
+  const background = typeof data.background === 'string' ? data.background : '';
+  if (!IMAGE_TYPES[path.extname(background).toLowerCase()] || path.basename(background) !== background) {
+    throw new Error('background must name a PNG or JPEG file of the package');
+  }
+}
+
+/**
+ * Read and check the package of a map.  Returns
+ * { id, name, width, height, recommendedPlayers, spawnZones, terrain, hash,
+ * backgroundFile, backgroundType }; throws if the package is invalid.  The
+ * hash identifies the playing field, so that replays notice when a map
+ * changed since they were recorded.
+ */
+function loadMap(id, dir = path.join(MAPS_DIR, id)) {
+  const data = JSON.parse(fs.readFileSync(path.join(dir, 'map.json'), 'utf8'));
+  checkMapData(data);
+  const spawnZones = data.spawnZones || [];
+  const backgroundType = IMAGE_TYPES[path.extname(data.background).toLowerCase()];
+  const backgroundFile = path.join(dir, data.background);
+  if (!fs.existsSync(backgroundFile)) throw new Error(`Missing background ${data.background}`);
+  return {
+    id,
+    name: data.name.trim(),
+    width: data.width,
+    height: data.height,
+    recommendedPlayers: data.recommendedPlayers,
+    spawnZones: spawnZones.map(({ x, y, w, h }) => ({ x, y, w, h })),
+    terrain: data.terrain,
+    hash: crypto.createHash('sha1').update(`${data.width}:${data.terrain.join('')}`).digest('hex').slice(0, 12),
+    backgroundFile,
+    backgroundType,
+  };
+}
+
+/**
+ * Load every package of MAPS_DIR.  Invalid packages are reported and
+ * skipped.
+ */
+function loadMaps() {
+  maps = new Map();
+  let names = [];
+  try {
+    names = fs.readdirSync(MAPS_DIR);
+  } catch (err) {
+    console.error('Cannot read maps', MAPS_DIR, err.message);
+  }
+  for (const id of names.sort()) {
+    if (!MAP_ID_PATTERN.test(id)) continue;
+    try {
+      maps.set(id, loadMap(id));
+    } catch (err) {
+      console.error('Invalid map', id, err.message);
+    }
+  }
+  return maps;
+}
+
+/**
+ * The map with the given id, or null.
+ */
+function getMap(id) {
+  if (!maps) loadMaps();
+  return maps.get(id) || null;
+}
+
+/**
+ * Public summaries of the available maps, for the lobby.
+ */
+function listMaps() {
+  if (!maps) loadMaps();
+  return [...maps.values()].map(summarizeMap);
+}
+
+function summarizeMap(map) {
+  return {
+    id: map.id,
+    name: map.name,
+    width: map.width,
+    height: map.height,
+    recommendedPlayers: map.recommendedPlayers,
+    spawnZones: map.spawnZones,
+  };
+}
+
+module.exports = {
+  MAPS_DIR,
+  MAP_FORMAT_VERSION,
+  DEFAULT_MAP_ID,
+  MAX_MAP_SIDE,
+  MAP_ID_PATTERN,
+  checkMapData,
+  loadMap,
+  loadMaps,
+  getMap,
+  listMaps,
+  summarizeMap,
+};
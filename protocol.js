@@ -0,0 +1,168 @@
+// Message protocol shared by both transports: the socket connection and the
+// SSE stream with one POST per command.  Every message is a JSON object
+// { v, type, ... }.  Clients send commands (join, spawn, attack, expand,
+// launch_boat, build, chat, ...) and get an ack with a reason code for
+// each one; the server pushes state, delta, event and error messages.
+
+const { BUILDING_TYPES } = require('./buildings');
+
+const PROTOCOL_VERSION = 1;
+
+// Reason codes carried by acks and error messages.  Commands refused by the
+// Game carry its own reason code instead (REJECTIONS in game.js) along with
+// details such as { needed, available } troops.
+const REASONS = {
+  OK: 'ok',
+  INVALID_MESSAGE: 'invalid_message',
+  PAYLOAD_TOO_LARGE: 'payload_too_large',
+  UNSUPPORTED_VERSION: 'unsupported_version',
+  UNKNOWN_TYPE: 'unknown_type',
+  UNAUTHORIZED: 'unauthorized',
+  FORBIDDEN: 'forbidden',
+  ROOM_NOT_FOUND: 'room_not_found',
+  ROOM_FULL: 'room_full',
+  STREAM_NOT_FOUND: 'stream_not_found',
+  // The game refused the command
+  REJECTED: 'rejected',
+  INVALID_CHANNEL: 'invalid_channel',
+  INVALID_TEXT: 'invalid_text',
+  UNKNOWN_RECIPIENT: 'unknown_recipient',
+  RATE_LIMITED: 'rate_limited',
+};
+
+// Field rules of command schemas: { type, min, max, maxLength, enum,
+// optional }.  type is 'integer', 'number', 'string', 'boolean' or
+// 'object', or a list of them; optional fields may be absent or null.
+// Fields a schema does not list are ignored.
+const COORD = { type: 'integer', min: 0, max: 9999 };
+const PERCENT = { type: 'number', min: 0.01, max: 1 };
+const PLAYER_ID = { type: 'string', maxLength: 32 };
+const SERIAL_ID = { type: 'integer', min: 1 };
+
+const COMMAND_SCHEMAS = {
+  join: { name: { type: 'string', maxLength: 24, optional: true } },
+  resync: { streamId: { type: 'string', maxLength: 32, optional: true } },
+  // The length limit of chat messages is checked by the room
+  chat: {
+    channel: { type: 'string', maxLength: 16, optional: true },
+    text: { type: 'string', maxLength: 1000 },
+    toId: { ...PLAYER_ID, optional: true },
+  },
+  spawn: { x: COORD, y: COORD },
+  attack: { srcX: COORD, srcY: COORD, dstX: COORD, dstY: COORD, troopsPercent: PERCENT },
+  expand: { x: COORD, y: COORD, troopsPercent: PERCENT },
+  launch_boat: { srcX: COORD, srcY: COORD, dstX: COORD, dstY: COORD, troopsPercent: PERCENT },
+  cancel_attack: { frontId: SERIAL_ID },
+  build: { building: { enum: BUILDING_TYPES }, x: COORD, y: COORD },
+  propose_alliance: { targetId: PLAYER_ID },
+  request_truce: { targetId: PLAYER_ID },
+  accept_treaty: { proposalId: SERIAL_ID },
+  decline_treaty: { proposalId: SERIAL_ID },
+  break_treaty: { targetId: PLAYER_ID },
+};
+
+// Commands carried out by the Game: each builds the Game action (without
+// its playerId) from the message, or returns null if the message is
+// malformed.
+const GAME_COMMANDS = {
+  spawn: ({ x, y }) => ({ type: 'spawn', x, y }),
+  attack: ({ srcX, srcY, dstX, dstY, troopsPercent }) => ({ type: 'attack', srcX, srcY, dstX, dstY, troopsPercent }),
+  expand: ({ x, y, troopsPercent }) => ({ type: 'expand', x, y, troopsPercent }),
+  launch_boat: ({ srcX, srcY, dstX, dstY, troopsPercent }) => ({
+    type: 'launch_boat',
+    srcX,
+    srcY,
+    dstX,
+    dstY,
+    troopsPercent,
+  }),
+  cancel_attack: ({ frontId }) => ({ type: 'cancel_attack', frontId }),
+  build: ({ building, x, y }) => ({ type: 'build', building, x, y }),
+  propose_alliance: ({ targetId }) => ({ type: 'propose_treaty', targetId, kind: 'alliance' }),
+  request_truce: ({ targetId }) => ({ type: 'propose_treaty', targetId, kind: 'truce' }),
+  accept_treaty: ({ proposalId }) => ({ type: 'accept_treaty', proposalId }),
+  decline_treaty: ({ proposalId }) => ({ type: 'decline_treaty', proposalId }),
+  break_treaty: ({ targetId }) => ({ type: 'break_treaty', targetId }),
+};
+
+/**
+ * Build a protocol message of the given type.
+ */
+function message(type, fields = {}) {
+  return { v: PROTOCOL_VERSION, type, ...fields };
+}
+
+/**
+ * Build the acknowledgement of a command.
+ */
+function ack(reason, fields = {}) {
+  return message('ack', { ok: reason === REASONS.OK, reason, ...fields });
+}
+
+function matchesRule(rule, value) {
+  if (rule.enum) return rule.enum.includes(value);
+  if (Array.isArray(rule.type)) return rule.type.some((type) => matchesRule({ ...rule, type }, value));
+  switch (rule.type) {
+    case 'integer':
+    case 'number':
+      if (rule.type === 'integer' ? !Number.isInteger(value) : !Number.isFinite(value)) return false;
+      return !(rule.min !== undefined && value < rule.min) && !(rule.max !== undefined && value > rule.max);
+    case 'string':
+      return typeof value === 'string' && !(rule.maxLength !== undefined && value.length > rule.maxLength);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check a message against a schema.  Returns null when it conforms,
+ * otherwise { field, rule } for the first offending field.
+ */
+function validate(schema, msg) {
+  for (const field in schema) {
+    const rule = schema[field];
+    const value = msg[field];
+    if (value === undefined || value === null) {
+      if (rule.optional) continue;
+      return { field, rule };
+    }
+    if (!matchesRule(rule, value)) return { field, rule };
+  }
+  return null;
+}
+
+/**
+ * Check the fields of a command against its schema; see validate().
+ * Commands without a schema are left to the caller.
+ */
+function validateCommand(msg) {
+  const schema = COMMAND_SCHEMAS[msg.type];
+  return schema ? validate(schema, msg) : null;
+}
+
+/**
+ * Check the envelope of a client message.  Returns a reason code when the
+ * message cannot be handled, null otherwise.  Messages without v are taken
+ * as the current version.
+ */
+function checkEnvelope(msg) {
+  if (!msg || typeof msg !== 'object' || Array.isArray(msg)) return REASONS.INVALID_MESSAGE;
+  if (msg.v !== undefined && msg.v !== PROTOCOL_VERSION) return REASONS.UNSUPPORTED_VERSION;
+  if (typeof msg.type !== 'string') return REASONS.INVALID_MESSAGE;
+  return null;
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  REASONS,
+  GAME_COMMANDS,
+  message,
+  ack,
+  checkEnvelope,
+  validate,
+  validateCommand,
+};
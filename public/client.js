@@ -1,51 +1,393 @@
 (() => {
   let playerId = null;
+  // Secret session token returned by join; authorizes our actions
+  let sessionToken = null;
+  const SESSION_KEY = 'openfront-session';
+  let roomId = null;
   let gameState = null;
+  // Event stream id assigned by the server, used to request a resync
+  let streamId = null;
+  let resyncPending = false;
+  // Version of the message protocol we speak (see protocol.js)
+  const PROTOCOL_VERSION = 1;
+  const ACK_TIMEOUT_MS = 5000;
+  // Socket carrying the protocol when the socket.io client is available;
+  // otherwise we fall back to the SSE stream with one POST per command
+  let socket = null;
   let selectedCell = null;
+  // Player whose empire we keep an eye on while spectating
+  let followedId = null;
   let worldImage = null;
+  let worldImageMapId = null;
   const canvas = document.getElementById('game-canvas');
   const ctx = canvas.getContext('2d');
+  const minimap = document.getElementById('minimap');
+  const minimapCtx = minimap.getContext('2d');
+  const cellTooltip = document.getElementById('cell-tooltip');
   const loginOverlay = document.getElementById('login-overlay');
   const nameInput = document.getElementById('name-input');
   const joinBtn = document.getElementById('join-btn');
+  const watchBtn = document.getElementById('watch-btn');
   const joinError = document.getElementById('join-error');
+  const roomSelect = document.getElementById('room-select');
+  const refreshRoomsBtn = document.getElementById('refresh-rooms-btn');
+  const roomNameInput = document.getElementById('room-name-input');
+  const roomMapSelect = document.getElementById('room-map-select');
+  const roomMaxPlayersInput = document.getElementById('room-max-players-input');
+  const roomBotDifficultySelect = document.getElementById('room-bot-difficulty-select');
+  const roomFogInput = document.getElementById('room-fog-input');
+  const createRoomBtn = document.getElementById('create-room-btn');
+  const replaySelect = document.getElementById('replay-select');
+  const watchReplayBtn = document.getElementById('watch-replay-btn');
+  const replayControls = document.getElementById('replay-controls');
+  const replayPlayBtn = document.getElementById('replay-play-btn');
+  const replaySpeed = document.getElementById('replay-speed');
+  const replayProgress = document.getElementById('replay-progress');
+  const resultsOverlay = document.getElementById('results-overlay');
+  const resultsTitle = document.getElementById('results-title');
+  const resultsTable = document.getElementById('results-table');
+  const resultsCountdown = document.getElementById('results-countdown');
+  const resultsCloseBtn = document.getElementById('results-close-btn');
+  let countdownTimer = null;
   const troopSlider = document.getElementById('troop-slider');
   const troopValue = document.getElementById('troop-value');
-  const buildPortBtn = document.getElementById('build-port-btn');
-  const buildCityBtn = document.getElementById('build-city-btn');
+  const buildMenu = document.getElementById('build-menu');
+  const spectatorCount = document.getElementById('spectator-count');
+  const followControls = document.getElementById('follow-controls');
+  const followSelect = document.getElementById('follow-select');
+  const followStats = document.getElementById('follow-stats');
   const scoreboard = document.getElementById('scoreboard');
+  const combatLog = document.getElementById('combat-log');
+  const frontsPanel = document.getElementById('fronts-panel');
+  const diplomacyPanel = document.getElementById('diplomacy-panel');
+  const chatLog = document.getElementById('chat-log');
+  const chatForm = document.getElementById('chat-form');
+  const chatChannel = document.getElementById('chat-channel');
+  const chatInput = document.getElementById('chat-input');
+  const toasts = document.getElementById('toasts');
   // Update slider label
   troopSlider.addEventListener('input', () => {
     troopValue.textContent = troopSlider.value + '%';
   });
-  // Resize canvas
+  // Camera over the grid: scale is the size of a cell in pixels, and x, y
+  // the grid coordinates shown in the top left corner of the canvas.  Cells
+  // stay square whatever the shape of the window.
+  const camera = { x: 0, y: 0, scale: 1 };
+  const MAX_CELL_PIXELS = 48;
+  const ZOOM_STEP = 1.25;
+  // Smallest scale, at which the whole map fits in the canvas
+  function minScale() {
+    return Math.min(canvas.width / gameState.gridW, canvas.height / gameState.gridH);
+  }
+  // Keep the scale within bounds and the map on screen; along an axis where
+  // the whole map fits, it is centred
+  function clampCamera() {
+    camera.scale = Math.min(Math.max(camera.scale, minScale()), MAX_CELL_PIXELS);
+    const viewW = canvas.width / camera.scale;
+    const viewH = canvas.height / camera.scale;
+    const clamp = (value, view, size) => (view >= size ? (size - view) / 2 : Math.min(Math.max(value, 0), size - view));
+    camera.x = clamp(camera.x, viewW, gameState.gridW);
+    camera.y = clamp(camera.y, viewH, gameState.gridH);
+  }
+  // Zoom all the way out
+  function fitCamera() {
+    camera.scale = 0;
+    clampCamera();
+  }
+  // Put a grid point in the middle of the canvas
+  function centreCamera(x, y) {
+    camera.x = x - canvas.width / camera.scale / 2;
+    camera.y = y - canvas.height / camera.scale / 2;
+    clampCamera();
+  }
+  // Grid coordinates, fractional, under a point of the canvas
+  function canvasToGrid(px, py) {
+    return { x: camera.x + px / camera.scale, y: camera.y + py / camera.scale };
+  }
+  // Draw at most once per frame, however many messages and pointer moves
+  // come in between
+  let drawPending = false;
+  function scheduleDraw() {
+    if (drawPending) return;
+    drawPending = true;
+    requestAnimationFrame(() => {
+      drawPending = false;
+      drawGame();
+    });
+  }
+  // Resize canvas, keeping the same grid point in the middle
   function resizeCanvas() {
+    const centre = gameState && canvasToGrid(canvas.width / 2, canvas.height / 2);
     canvas.width = window.innerWidth;
     canvas.height = window.innerHeight;
-    drawGame();
+    if (centre) centreCamera(centre.x, centre.y);
+    scheduleDraw();
   }
   window.addEventListener('resize', resizeCanvas);
   resizeCanvas();
-  // Load world image
-  function loadWorldImage() {
+  // Load the background of the map being played, once per map
+  function loadWorldImage(mapId) {
+    if (mapId === worldImageMapId) return;
+    worldImageMapId = mapId;
     worldImage = new Image();
-    worldImage.src = 'assets/world_map.png';
-    worldImage.onload = drawGame;
+    worldImage.src = `/api/maps/${encodeURIComponent(mapId)}/background`;
+    worldImage.onload = scheduleDraw;
   }
-  loadWorldImage();
-  // Convert mouse event to grid coordinates
+  // Convert mouse event to grid coordinates, through the camera
   function eventToGridCoords(ev) {
     if (!gameState) return null;
     const rect = canvas.getBoundingClientRect();
-    const cx = ev.clientX - rect.left;
-    const cy = ev.clientY - rect.top;
-    const cellW = canvas.width / gameState.gridW;
-    const cellH = canvas.height / gameState.gridH;
-    const x = Math.floor(cx / cellW);
-    const y = Math.floor(cy / cellH);
+    const point = canvasToGrid(ev.clientX - rect.left, ev.clientY - rect.top);
+    const x = Math.floor(point.x);
+    const y = Math.floor(point.y);
     if (x < 0 || y < 0 || x >= gameState.gridW || y >= gameState.gridH) return null;
     return { x, y };
   }
+  // Build the URL of a game action scoped to the current room
+  function roomApi(action) {
+    return '/api/rooms/' + encodeURIComponent(roomId) + '/' + action;
+  }
+  // Send a command for our player over the socket, or as a POST authorized
+  // by the session token.  Resolves with the ack { ok, reason, ... }.
+  function sendAction(type, payload) {
+    if (socket && socket.connected) {
+      return new Promise((resolve) => {
+        socket.timeout(ACK_TIMEOUT_MS).emit('msg', { v: PROTOCOL_VERSION, type, ...payload }, (err, reply) => {
+          resolve(err ? { ok: false, reason: 'timeout' } : reply);
+        });
+      });
+    }
+    return fetch(roomApi(type), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: 'Bearer ' + sessionToken,
+      },
+      body: JSON.stringify({ v: PROTOCOL_VERSION, ...payload }),
+    })
+      .then((res) => res.json())
+      .catch(() => ({ ok: false, reason: 'network_error' }));
+  }
+  // Human-readable reasons of refused commands, given the ack's details
+  function buildingName(type) {
+    const building = gameState && (gameState.catalog || []).find((b) => b.type === type);
+    return building ? building.name : type;
+  }
+  const REASON_TEXTS = {
+    invalid_message: (d) => (d.field ? `Commande invalide (champ ${d.field})` : 'Commande invalide'),
+    payload_too_large: () => 'Commande trop volumineuse',
+    unsupported_version: () => 'Version du client obsolète, rechargez la page',
+    unauthorized: () => 'Session expirée',
+    forbidden: () => 'Action interdite',
+    room_not_found: () => 'Partie introuvable',
+    room_full: () => 'Partie pleine',
+    rejected: () => 'Action impossible',
+    invalid_channel: () => 'Canal inconnu',
+    invalid_text: () => 'Message vide ou trop long',
+    unknown_recipient: () => 'Destinataire inconnu',
+    rate_limited: () => 'Trop de commandes, patientez',
+    timeout: () => 'Le serveur ne répond pas',
+    network_error: () => 'Erreur de connexion',
+    game_over: () => 'La partie est terminée',
+    unknown_player: () => 'Joueur inconnu',
+    eliminated: () => 'Joueur éliminé',
+    invalid_cell: () => 'Case hors de la carte',
+    invalid_percent: () => 'Part de troupes invalide',
+    already_spawned: () => 'Vous êtes déjà sur la carte',
+    not_land: () => 'Cette case est dans l\'eau',
+    outside_spawn_zone: () => 'Choisissez une case dans une zone de départ',
+    cell_taken: () => 'Cette case est déjà occupée',
+    not_owner: () => 'Cette case ne vous appartient pas',
+    not_adjacent: (d) =>
+      d.port
+        ? 'Cible trop éloignée : cliquez sur une côte lointaine pour y envoyer un bateau'
+        : 'Cible trop éloignée : choisissez une case voisine',
+    own_cell: () => 'Cette case vous appartient déjà',
+    at_peace: () => 'Impossible d\'attaquer un joueur avec qui vous avez un traité',
+    no_targets: () => 'Aucune case à attaquer autour de cette case',
+    insufficient_troops: (d) => `Troupes insuffisantes (${d.needed} nécessaires, ${Math.floor(d.available)} disponibles)`,
+    unknown_building: () => 'Bâtiment inconnu',
+    already_built: (d) => `${buildingName(d.building)} : déjà construit sur cette case`,
+    missing_prerequisite: (d) => `${buildingName(d.building)} : construisez d'abord ${buildingName(d.requires)}`,
+    insufficient_gold: (d) => `Or insuffisant (${d.needed} nécessaires, ${Math.floor(d.available)} disponibles)`,
+    no_water_nearby: () => 'Un port doit être construit au bord de l\'eau',
+    unknown_front: () => 'Cette attaque est déjà terminée',
+    no_port: () => 'Les bateaux partent d\'un port : sélectionnez-en un',
+    no_sea_route: () => 'Aucune route maritime ne mène à cette case',
+    too_many_boats: (d) => `Vous avez déjà ${d.max} bateaux en mer`,
+    invalid_kind: () => 'Type de traité inconnu',
+    treaty_exists: () => 'Un traité vous lie déjà à ce joueur',
+    treaty_ending: () => 'Ce traité est déjà rompu',
+    proposal_pending: () => 'Une proposition est déjà en attente',
+    unknown_proposal: () => 'Cette proposition n\'est plus valable',
+    no_treaty: () => 'Aucun traité avec ce joueur',
+  };
+  function reasonText(reply) {
+    const text = REASON_TEXTS[reply.reason];
+    return text ? text(reply.details || {}) : reply.error || 'Action impossible';
+  }
+  // Send a command on behalf of the player and show why it was refused
+  function command(type, payload) {
+    return sendAction(type, payload).then((reply) => {
+      if (!reply.ok) showToast(reasonText(reply));
+      return reply;
+    });
+  }
+  // Short-lived notifications in the corner of the screen
+  const TOAST_DURATION_MS = 4000;
+  const MAX_TOASTS = 4;
+  function showToast(text) {
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.textContent = text;
+    toasts.appendChild(toast);
+    while (toasts.children.length > MAX_TOASTS) {
+      toasts.firstChild.remove();
+    }
+    setTimeout(() => toast.remove(), TOAST_DURATION_MS);
+  }
+  // Lobby: fill the room list with the open games
+  function loadRooms(selectId) {
+    fetch('/api/rooms')
+      .then((res) => res.json())
+      .then((resp) => {
+        roomSelect.innerHTML = '';
+        for (const room of resp.rooms || []) {
+          const option = document.createElement('option');
+          option.value = room.id;
+          const full = room.players >= room.maxPlayers ? ', complet' : '';
+          const fog = room.fog ? ', brouillard' : '';
+          option.textContent =
+            `${room.name} – ${room.map.name} (${room.players}/${room.maxPlayers}${full}${fog}, ` +
+            `${room.spectators} spectateur(s))`;
+          roomSelect.appendChild(option);
+        }
+        if (selectId) roomSelect.value = selectId;
+      })
+      .catch(() => {
+        joinError.textContent = 'Impossible de charger les parties.';
+      });
+  }
+  refreshRoomsBtn.addEventListener('click', () => {
+    loadRooms(roomSelect.value);
+    loadReplays();
+  });
+  loadRooms();
+  // Lobby: fill the map choice of new rooms; picking a map suggests its
+  // recommended player count
+  let maps = [];
+  function loadMaps() {
+    fetch('/api/maps')
+      .then((res) => res.json())
+      .then((resp) => {
+        maps = resp.maps || [];
+        roomMapSelect.innerHTML = '';
+        for (const map of maps) {
+          const option = document.createElement('option');
+          option.value = map.id;
+          option.textContent = `${map.name} (${map.recommendedPlayers} joueurs)`;
+          roomMapSelect.appendChild(option);
+        }
+      })
+      .catch(() => {
+        joinError.textContent = 'Impossible de charger les cartes.';
+      });
+  }
+  roomMapSelect.addEventListener('change', () => {
+    const map = maps.find((m) => m.id === roomMapSelect.value);
+    if (map) roomMaxPlayersInput.value = Math.min(map.recommendedPlayers, parseInt(roomMaxPlayersInput.max, 10));
+  });
+  loadMaps();
+  // Lobby: fill the list of recorded matches
+  function loadReplays() {
+    fetch('/api/replays')
+      .then((res) => res.json())
+      .then((resp) => {
+        replaySelect.innerHTML = '';
+        for (const file of resp.replays || []) {
+          const option = document.createElement('option');
+          option.value = file;
+          option.textContent = file;
+          replaySelect.appendChild(option);
+        }
+      })
+      .catch(() => {
+        joinError.textContent = 'Impossible de charger les replays.';
+      });
+  }
+  loadReplays();
+  // Lobby: open a replay room and watch it
+  watchReplayBtn.addEventListener('click', () => {
+    if (!replaySelect.value) return;
+    fetch('/api/replays', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ file: replaySelect.value }),
+    })
+      .then((res) => res.json())
+      .then((resp) => {
+        if (!resp.ok) {
+          joinError.textContent = resp.error || 'Impossible de lire le replay.';
+          return;
+        }
+        roomId = resp.room.id;
+        replayControlToken = resp.controlToken;
+        loginOverlay.style.display = 'none';
+        replayControls.style.display = '';
+        connect();
+      })
+      .catch(() => {
+        joinError.textContent = 'Erreur de connexion.';
+      });
+  });
+  // Replay playback controls, authorized by the token we got when opening
+  // the replay
+  let replayStatus = null;
+  let replayControlToken = null;
+  function sendReplayControl(control) {
+    fetch(roomApi('replay_control'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer ' + replayControlToken },
+      body: JSON.stringify(control),
+    });
+  }
+  replayPlayBtn.addEventListener('click', () => {
+    if (replayStatus) sendReplayControl({ paused: !replayStatus.paused });
+  });
+  replaySpeed.addEventListener('change', () => {
+    sendReplayControl({ speed: parseFloat(replaySpeed.value) });
+  });
+  function updateReplayControls() {
+    replayPlayBtn.textContent = replayStatus.paused ? 'Lecture' : 'Pause';
+    replaySpeed.value = String(replayStatus.speed);
+    replayProgress.textContent =
+      `Tour ${replayStatus.tick} / ${replayStatus.lastTick}` + (replayStatus.finished ? ' (terminé)' : '');
+  }
+  // Lobby: create a new room and select it
+  createRoomBtn.addEventListener('click', () => {
+    fetch('/api/rooms', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: roomNameInput.value.trim(),
+        map: roomMapSelect.value || undefined,
+        maxPlayers: parseInt(roomMaxPlayersInput.value, 10),
+        botDifficulty: roomBotDifficultySelect.value,
+        fog: roomFogInput.checked,
+      }),
+    })
+      .then((res) => res.json())
+      .then((resp) => {
+        if (resp.ok) {
+          loadRooms(resp.room.id);
+        } else {
+          joinError.textContent = resp.error || 'Impossible de créer la partie.';
+        }
+      })
+      .catch(() => {
+        joinError.textContent = 'Erreur de connexion.';
+      });
+  });
   // Join handler
   joinBtn.addEventListener('click', () => {
     const name = nameInput.value.trim();
@@ -53,165 +395,1026 @@
       joinError.textContent = 'Veuillez entrer un nom.';
       return;
     }
-    fetch('/api/join', {
+    if (!roomSelect.value) {
+      joinError.textContent = 'Veuillez choisir une partie.';
+      return;
+    }
+    roomId = roomSelect.value;
+    fetch(roomApi('join'), {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ name }),
+      body: JSON.stringify({ v: PROTOCOL_VERSION, name }),
     })
       .then((res) => res.json())
       .then((resp) => {
         if (resp.ok) {
           playerId = resp.playerId;
+          sessionToken = resp.token;
+          // Remember the session so that a reload within the reconnect
+          // grace window resumes control of our empire
+          sessionStorage.setItem(SESSION_KEY, JSON.stringify({ roomId, playerId, token: sessionToken }));
           loginOverlay.style.display = 'none';
-          startEventStream();
+          connect();
         } else {
-          joinError.textContent = resp.error || 'Impossible de rejoindre la partie.';
+          joinError.textContent = reasonText(resp);
         }
       })
       .catch(() => {
         joinError.textContent = 'Erreur de connexion.';
       });
   });
+  // Watch the selected room without taking a player slot
+  watchBtn.addEventListener('click', () => {
+    if (!roomSelect.value) {
+      joinError.textContent = 'Veuillez choisir une partie.';
+      return;
+    }
+    roomId = roomSelect.value;
+    joinError.textContent = '';
+    loginOverlay.style.display = 'none';
+    connect();
+  });
+  // Cells of each owner, Map<playerId, Set<cell index>>, and cells holding
+  // buildings, kept up to date with the state so that drawing need not scan
+  // the whole grid
+  let territories = new Map();
+  let buildingCells = new Set();
+  // Update the indexes for a cell whose owner was previously `previous`
+  function indexCell(idx, previous) {
+    const cell = gameState.cells[idx];
+    if (previous !== cell.owner) {
+      if (territories.has(previous)) territories.get(previous).delete(idx);
+      if (cell.owner) {
+        if (!territories.has(cell.owner)) territories.set(cell.owner, new Set());
+        territories.get(cell.owner).add(idx);
+      }
+    }
+    if (cell.buildings.length) buildingCells.add(idx);
+    else buildingCells.delete(idx);
+  }
+  // True until our player spawns in the round of a state
+  function waitingToSpawn(state) {
+    const me = state.players[playerId];
+    return !!me && !me.territory && !me.eliminated;
+  }
+  // Under fog of war, carry what we knew of the cells out of sight over to
+  // a new state of the same round, which only has the cells in sight.
+  // Before we spawn, the server tells us who owns every cell instead.
+  function rememberFoggedCells(state) {
+    if (waitingToSpawn(state)) return;
+    state.cells.forEach((cell, idx) => {
+      const known = gameState.cells[idx];
+      if (cell.visible !== false || !known.explored) return;
+      cell.explored = true;
+      cell.owner = known.owner;
+      cell.buildings = known.buildings;
+    });
+  }
+  function indexState() {
+    const scouting = waitingToSpawn(gameState);
+    for (const cell of gameState.cells) {
+      if (cell.visible !== false || scouting) cell.explored = true;
+    }
+    territories = new Map();
+    buildingCells = new Set();
+    gameState.cells.forEach((cell, idx) => indexCell(idx, null));
+  }
+  // Patch the local state with the cells changed during one tick, and
+  // repaint them on the territory layer
+  function applyDelta(delta) {
+    // Players first, so that repainted cells get their new owner's colour
+    gameState.players = delta.players;
+    for (const change of delta.cells) {
+      const cell = gameState.cells[change.i];
+      const previous = cell.owner;
+      // Under fog of war a cell going out of sight keeps what we last saw,
+      // unless it comes with its owner because we have not spawned yet
+      if (change.visible !== undefined) cell.visible = change.visible;
+      if (change.visible === false && change.owner === undefined) continue;
+      if (cell.visible !== false || change.owner !== undefined) cell.explored = true;
+      cell.owner = change.owner;
+      if (change.buildings) cell.buildings = change.buildings;
+      indexCell(change.i, previous);
+    }
+    paintTerritory(delta.cells.map((change) => change.i));
+    gameState.fronts = delta.fronts;
+    gameState.boats = delta.boats;
+    gameState.diplomacy = delta.diplomacy;
+    gameState.spectators = delta.spectators;
+    gameState.seq = delta.seq;
+  }
+  // Ask the server to push the full state down our stream
+  function requestResync() {
+    if (resyncPending) return;
+    resyncPending = true;
+    sendAction('resync', { streamId }).then((reply) => {
+      if (!reply.ok) resyncPending = false;
+    });
+  }
+  // Open the room's stream: a socket when possible, SSE otherwise
+  function connect() {
+    if (typeof io === 'function') startSocket();
+    else startEventStream();
+  }
+  // Socket transport.  If it cannot connect at all (proxy, blocked
+  // websockets...) we fall back to SSE.  socket.io retries on its own after
+  // network failures but not when the server drops us, e.g. because our room
+  // was swept or replaced by a snapshot: we reconnect then, and are sent
+  // back to the lobby if the room is gone.
+  function startSocket() {
+    let connected = false;
+    const current = io({ auth: { roomId, token: sessionToken, v: PROTOCOL_VERSION } });
+    socket = current;
+    socket.on('connect', () => {
+      connected = true;
+    });
+    socket.on('disconnect', (reason) => {
+      if (reason === 'io server disconnect' && socket === current) current.connect();
+    });
+    socket.on('msg', handleMessage);
+    socket.on('connect_error', () => {
+      if (connected) return;
+      socket.close();
+      socket = null;
+      startEventStream();
+    });
+  }
   // Start Server-Sent Events connection
   function startEventStream() {
-    const evtSrc = new EventSource('/events?id=' + encodeURIComponent(playerId));
-    evtSrc.onmessage = (ev) => {
-      try {
-        const state = JSON.parse(ev.data);
-        gameState = state;
-        // Keep selected cell if it still belongs to the player
-        if (selectedCell) {
-          const idx = selectedCell.y * state.gridW + selectedCell.x;
-          const cell = state.cells[idx];
-          if (!cell || cell.owner !== playerId) {
-            selectedCell = null;
-          }
+    let url = '/events?room=' + encodeURIComponent(roomId);
+    if (sessionToken) url += '&token=' + encodeURIComponent(sessionToken);
+    const evtSrc = new EventSource(url);
+    evtSrc.onmessage = (ev) => handleMessage(JSON.parse(ev.data));
+    evtSrc.onerror = () => {
+      console.error('EventSource error');
+      // The browser retries on its own unless the server refused the stream,
+      // which means our session expired: go back to the lobby.
+      if (evtSrc.readyState === EventSource.CLOSED) backToLobby();
+    };
+  }
+  // Our session is gone: forget it and show the lobby again
+  function backToLobby() {
+    if (socket) {
+      socket.close();
+      socket = null;
+    }
+    sessionStorage.removeItem(SESSION_KEY);
+    playerId = null;
+    sessionToken = null;
+    gameState = null;
+    loginOverlay.style.display = '';
+    replayControls.style.display = 'none';
+    joinError.textContent = 'Session expirée, veuillez rejoindre à nouveau.';
+    loadRooms();
+    loadReplays();
+  }
+  // Handle one protocol message pushed by the server
+  function handleMessage(msg) {
+    try {
+      if (msg.v !== PROTOCOL_VERSION) {
+        console.error('Unsupported protocol version', msg.v);
+        return;
+      }
+      if (msg.type === 'state') {
+        // A snapshot from a new round replaces the results screen
+        if (!gameState || gameState.round !== msg.round) hideResults();
+        const newMap = !gameState || gameState.gridW !== msg.gridW || gameState.gridH !== msg.gridH;
+        if (!newMap && gameState.round === msg.round) rememberFoggedCells(msg);
+        streamId = msg.streamId;
+        gameState = msg;
+        indexState();
+        repaintTerritory();
+        if (newMap) fitCamera();
+        loadWorldImage(msg.map.id);
+        resyncPending = false;
+      } else if (msg.type === 'delta') {
+        if (!gameState || resyncPending) return;
+        if (msg.seq !== gameState.seq + 1) {
+          // A delta went missing: ask the server for a fresh snapshot
+          requestResync();
+          return;
+        }
+        applyDelta(msg);
+      } else if (msg.type === 'combat') {
+        logCombat(msg);
+        return;
+      } else if (msg.type === 'diplomacy') {
+        logDiplomacy(msg);
+        return;
+      } else if (msg.type === 'chat') {
+        showChat(msg);
+        return;
+      } else if (msg.type === 'feed') {
+        showFeed(msg);
+        return;
+      } else if (msg.type === 'results') {
+        showResults(msg);
+        return;
+      } else if (msg.type === 'replay') {
+        replayStatus = msg;
+        updateReplayControls();
+        return;
+      } else if (msg.type === 'error') {
+        // The server refused our socket, e.g. because the session expired
+        backToLobby();
+        return;
+      } else {
+        return;
+      }
+      const state = gameState;
+      // Keep selected cell if it still belongs to the player
+      if (selectedCell) {
+        const idx = selectedCell.y * state.gridW + selectedCell.x;
+        const cell = state.cells[idx];
+        if (!cell || cell.owner !== playerId) {
+          selectedCell = null;
         }
-        drawGame();
-        updateScoreboard();
-      } catch (err) {
-        console.error('Error parsing state', err);
       }
+      scheduleDraw();
+      updateTooltip();
+      updateScoreboard();
+      updateFronts();
+      updateBuildMenu();
+      updateDiplomacy();
+      updateChatChannels();
+      updateSpectatorPanel();
+    } catch (err) {
+      console.error('Error handling message', err);
+    }
+  }
+  // Show the outcome of a fight we took part in, newest first
+  const COMBAT_LOG_SIZE = 5;
+  function logCombat(report) {
+    const players = gameState ? gameState.players : {};
+    const attacking = report.attackerId === playerId;
+    const enemy = players[attacking ? report.defenderId : report.attackerId];
+    const enemyName = enemy ? enemy.name : 'l\'ennemi';
+    const cells = report.cellsCaptured;
+    let text;
+    if (report.boatId) {
+      if (attacking) {
+        text = cells ? `Débarquement réussi contre ${enemyName}` : `Débarquement contre ${enemyName} repoussé`;
+      } else {
+        text = cells ? `${enemyName} a débarqué sur vos côtes` : `Débarquement de ${enemyName} repoussé`;
+      }
+      const ours = attacking ? report.attackerLosses : report.defenderLosses;
+      const theirs = attacking ? report.defenderLosses : report.attackerLosses;
+      text += ` — pertes : ${ours} / ennemies : ${theirs}`;
+    } else if (attacking) {
+      text = cells ? `Front contre ${enemyName} : ${cells} case(s) prise(s)` : `Front contre ${enemyName} repoussé`;
+      text += ` — pertes : ${report.attackerLosses} / ennemies : ${report.defenderLosses}`;
+    } else {
+      text = cells ? `${enemyName} avance : ${cells} case(s) perdue(s)` : `Attaque de ${enemyName} repoussée`;
+      text += ` — pertes : ${report.defenderLosses} / ennemies : ${report.attackerLosses}`;
+    }
+    addLogEntry(text, (cells > 0) === attacking ? 'win' : 'loss');
+  }
+  function addLogEntry(text, className) {
+    const entry = document.createElement('div');
+    entry.className = className;
+    entry.textContent = text;
+    combatLog.prepend(entry);
+    while (combatLog.children.length > COMBAT_LOG_SIZE) {
+      combatLog.lastChild.remove();
+    }
+  }
+  // Announce treaty events: everyone hears about signed, broken and ended
+  // treaties, proposals only reach the two players concerned
+  const TREATY_NAMES = { alliance: 'alliance', truce: 'trêve' };
+  function logDiplomacy(event) {
+    const players = gameState ? gameState.players : {};
+    const [actor, other] = event.playerIds.map((id) => {
+      if (id === playerId) return 'vous';
+      return players[id] ? players[id].name : 'un joueur disparu';
+    });
+    const kind = TREATY_NAMES[event.kind] || event.kind;
+    const texts = {
+      proposed: `${actor} propose une ${kind} à ${other}`,
+      declined: `${actor} refuse la ${kind} proposée par ${other}`,
+      expired: `La ${kind} proposée par ${actor} à ${other} est restée sans réponse`,
+      signed: `${actor} et ${other} concluent une ${kind}`,
+      broken: `${actor} rompt sa ${kind} avec ${other}`,
+      ended: `Fin de la ${kind} entre ${actor} et ${other}`,
     };
-    evtSrc.onerror = () => {
-      console.error('EventSource error');
+    addLogEntry(texts[event.event] || `${actor} / ${other} : ${event.event}`, 'info');
+  }
+  // The treaty binding us to another player, if any
+  function treatyWith(id) {
+    const treaties = gameState.diplomacy ? gameState.diplomacy.treaties : [];
+    return treaties.find((t) => t.playerIds.includes(playerId) && t.playerIds.includes(id)) || null;
+  }
+  // Proposals waiting for our answer, and our treaties with a button to
+  // break each one
+  function updateDiplomacy() {
+    diplomacyPanel.innerHTML = '';
+    if (!gameState.diplomacy || !playerId) return;
+    const addRow = (text, buttons) => {
+      const row = document.createElement('div');
+      row.className = 'diplomacy-row';
+      const label = document.createElement('span');
+      label.textContent = text;
+      row.appendChild(label);
+      for (const [caption, action, payload] of buttons) {
+        const button = document.createElement('button');
+        button.textContent = caption;
+        button.addEventListener('click', () => command(action, payload));
+        row.appendChild(button);
+      }
+      diplomacyPanel.appendChild(row);
     };
+    const nameOf = (id) => (gameState.players[id] ? gameState.players[id].name : '?');
+    for (const proposal of gameState.diplomacy.proposals) {
+      if (proposal.toId !== playerId) continue;
+      addRow(`${nameOf(proposal.fromId)} propose une ${TREATY_NAMES[proposal.kind]}`, [
+        ['Accepter', 'accept_treaty', { proposalId: proposal.id }],
+        ['Refuser', 'decline_treaty', { proposalId: proposal.id }],
+      ]);
+    }
+    for (const treaty of gameState.diplomacy.treaties) {
+      if (!treaty.playerIds.includes(playerId)) continue;
+      const otherId = treaty.playerIds[0] === playerId ? treaty.playerIds[1] : treaty.playerIds[0];
+      let text = `${TREATY_NAMES[treaty.kind]} avec ${nameOf(otherId)}`;
+      if (treaty.brokenBy) text += ' (rompue)';
+      addRow(text, treaty.brokenBy ? [] : [['Rompre', 'break_treaty', { targetId: otherId }]]);
+    }
+  }
+  // Scoreboard buttons propose treaties to other players
+  scoreboard.addEventListener('click', (ev) => {
+    const button = ev.target.closest('button[data-action]');
+    if (!button || !playerId) return;
+    command(button.dataset.action, { targetId: button.dataset.target });
+  });
+  // What each building effect does, for the build menu's tooltips
+  const EFFECT_TEXTS = {
+    defense: (v) => `défense de la case +${Math.round(v * 100)}%`,
+    troopCap: (v) => `+${v} troupes maximum`,
+    growth: (v) => `+${v} troupe(s) par tour`,
+    gold: (v) => `+${v} or par tour`,
+    boats: () => 'lance des bateaux',
+    vision: (v) => `vision à ${v} cases dans le brouillard`,
+  };
+  function describeBuilding(building) {
+    const lines = Object.keys(building.effects).map((effect) => EFFECT_TEXTS[effect](building.effects[effect]));
+    if (building.upkeep) lines.push(`entretien : ${building.upkeep} or par tour`);
+    if (building.requires.coast) lines.push('au bord de l\'eau');
+    for (const type of building.requires.buildings || []) lines.push(`nécessite : ${buildingName(type)}`);
+    return lines.join('\n');
+  }
+  // Show our gold and a button per building of the catalog, usable on the
+  // selected cell when we can afford it
+  function updateBuildMenu() {
+    const me = gameState.players[playerId];
+    buildMenu.innerHTML = '';
+    if (!me || me.eliminated) return;
+    const gold = document.createElement('div');
+    gold.className = 'gold';
+    gold.textContent = `Or : ${me.gold}`;
+    buildMenu.appendChild(gold);
+    const cell = selectedCell ? gameState.cells[selectedCell.y * gameState.gridW + selectedCell.x] : null;
+    for (const building of gameState.catalog || []) {
+      const button = document.createElement('button');
+      button.textContent = `${building.name} (${building.cost} or)`;
+      button.title = describeBuilding(building);
+      button.disabled = !cell || cell.buildings.includes(building.type) || me.gold < building.cost;
+      button.addEventListener('click', () => {
+        if (!selectedCell) return;
+        command('build', { building: building.type, x: selectedCell.x, y: selectedCell.y });
+      });
+      buildMenu.appendChild(button);
+    }
+  }
+  // We watch rather than play when we have no player or lost ours
+  function isSpectating() {
+    const me = gameState && gameState.players[playerId];
+    return !me || me.eliminated;
+  }
+  // Spectator count for everyone; spectators also pick a player to follow
+  // and see their figures
+  let followChoicesKey = null;
+  let wasEliminated = false;
+  function updateSpectatorPanel() {
+    const me = gameState.players[playerId];
+    if (me && me.eliminated && !wasEliminated) {
+      showToast('Vous avez été éliminé : vous pouvez suivre la fin de la partie.');
+    }
+    wasEliminated = !!(me && me.eliminated);
+    spectatorCount.textContent = `Spectateurs : ${gameState.spectators || 0}`;
+    if (!isSpectating()) {
+      followControls.style.display = 'none';
+      return;
+    }
+    followControls.style.display = '';
+    if (followedId && !gameState.players[followedId]) followedId = null;
+    const players = Object.values(gameState.players).sort((a, b) => a.name.localeCompare(b.name));
+    const key = players.map((p) => p.id + p.name).join();
+    if (key !== followChoicesKey) {
+      followChoicesKey = key;
+      followSelect.innerHTML = '<option value="">Personne</option>';
+      for (const p of players) {
+        const option = document.createElement('option');
+        option.value = p.id;
+        option.textContent = p.name;
+        followSelect.appendChild(option);
+      }
+    }
+    followSelect.value = followedId || '';
+    const followed = gameState.players[followedId];
+    if (!followed) {
+      followStats.textContent = '';
+      return;
+    }
+    const boats = (gameState.boats || []).filter((b) => b.playerId === followedId).length;
+    followStats.textContent = followed.eliminated
+      ? `${followed.name} est éliminé`
+      : `${followed.troops ?? '?'} troupes | ${followed.gold ?? '?'} or | ${followed.territory} territoires | ${boats} bateau(x)`;
+  }
+  followSelect.addEventListener('change', () => {
+    followedId = followSelect.value || null;
+    if (followedId) centreOnPlayer(followedId);
+    scheduleDraw();
+    updateScoreboard();
+    updateSpectatorPanel();
+  });
+  // List our active attack orders with a button to cancel each one
+  function updateFronts() {
+    frontsPanel.innerHTML = '';
+    const ours = (gameState.fronts || []).filter((f) => f.playerId === playerId);
+    for (const front of ours) {
+      const target = front.targetId ? gameState.players[front.targetId] : null;
+      const row = document.createElement('div');
+      row.className = 'front-row';
+      const label = document.createElement('span');
+      label.textContent = `Attaque ${target ? 'contre ' + target.name : 'des terres libres'} : ${front.troops} troupes`;
+      const cancel = document.createElement('button');
+      cancel.textContent = 'Annuler';
+      cancel.addEventListener('click', () => command('cancel_attack', { frontId: front.id }));
+      row.appendChild(label);
+      row.appendChild(cancel);
+      frontsPanel.appendChild(row);
+    }
+    // Boats cannot turn back, so they are only listed
+    for (const boat of (gameState.boats || []).filter((b) => b.playerId === playerId)) {
+      const target = boat.targetId ? gameState.players[boat.targetId] : null;
+      const row = document.createElement('div');
+      row.className = 'front-row';
+      row.textContent = `Bateau ${target ? 'vers ' + target.name : 'vers des terres libres'} : ${boat.troops} troupes`;
+      frontsPanel.appendChild(row);
+    }
+  }
+  // Chat and event feed share one panel, newest last
+  const CHAT_LOG_SIZE = 50;
+  function addChatLine(text, className) {
+    const line = document.createElement('div');
+    line.className = className;
+    line.textContent = text;
+    chatLog.appendChild(line);
+    while (chatLog.children.length > CHAT_LOG_SIZE) {
+      chatLog.firstChild.remove();
+    }
+    chatLog.scrollTop = chatLog.scrollHeight;
+  }
+  function showChat(msg) {
+    let prefix = '';
+    if (msg.channel === 'alliance') {
+      prefix = '[Alliés] ';
+    } else if (msg.channel === 'direct') {
+      const to = gameState && gameState.players[msg.toId];
+      prefix = msg.fromId === playerId ? `[à ${to ? to.name : '?'}] ` : '[Privé] ';
+    }
+    addChatLine(`${prefix}${msg.fromName} : ${msg.text}`, 'chat ' + msg.channel);
+  }
+  const FEED_TEXTS = {
+    joined: (e) => `${e.name} rejoint la partie`,
+    left: (e) => `${e.name} quitte la partie`,
+    handed_over: (e) => `${e.name} est parti, un bot reprend son empire`,
+    eliminated: (e) => `${e.name} est éliminé`,
+    city_captured: (e) => `${e.name} prend une ville à ${e.targetName}`,
+  };
+  function showFeed(entry) {
+    // Bots come and go as players join and leave; only report the humans
+    if (entry.bot || !FEED_TEXTS[entry.event]) return;
+    addChatLine(FEED_TEXTS[entry.event](entry), 'feed');
+  }
+  // Channel choices: everyone, our allies, or any other player in private
+  let chatChannelsKey = null;
+  function updateChatChannels() {
+    chatForm.style.display = playerId ? '' : 'none';
+    const others = Object.values(gameState.players).filter((p) => p.id !== playerId);
+    const key = others.map((p) => p.id + p.name).join();
+    if (key === chatChannelsKey) return;
+    chatChannelsKey = key;
+    const selected = chatChannel.value;
+    chatChannel.innerHTML = '<option value="global">Tous</option><option value="alliance">Alliés</option>';
+    for (const p of others) {
+      const option = document.createElement('option');
+      option.value = 'direct:' + p.id;
+      option.textContent = p.name;
+      chatChannel.appendChild(option);
+    }
+    if ([...chatChannel.options].some((o) => o.value === selected)) chatChannel.value = selected;
+  }
+  chatForm.addEventListener('submit', (ev) => {
+    ev.preventDefault();
+    const text = chatInput.value.trim();
+    if (!text || !playerId) return;
+    const [channel, toId] = chatChannel.value.split(':');
+    command('chat', { channel, toId, text }).then((reply) => {
+      if (reply.ok) chatInput.value = '';
+    });
+  });
+  // End-of-match overlay with rankings and per-player stats
+  const RESULT_REASONS = {
+    land: 'a conquis la majorité des terres',
+    last_standing: 'est le dernier survivant',
+    time_limit: 'menait à la fin du temps imparti',
+  };
+  function showResults(results) {
+    const winner = results.rankings.find((r) => r.id === results.winnerId);
+    resultsTitle.textContent = winner
+      ? `${winner.name} ${RESULT_REASONS[results.reason] || 'a gagné'} !`
+      : 'Fin de la partie';
+    resultsTable.innerHTML =
+      '<tr><th>#</th><th>Joueur</th><th>Territoire</th><th>Max</th><th>Conquis</th><th>Perdus</th></tr>';
+    for (const r of results.rankings) {
+      const row = resultsTable.insertRow();
+      if (r.id === playerId) row.className = 'you';
+      row.insertCell().textContent = r.rank;
+      const player = row.insertCell();
+      const colorBox = document.createElement('span');
+      colorBox.className = 'color-box';
+      colorBox.style.background = r.color;
+      player.appendChild(colorBox);
+      player.appendChild(document.createTextNode(r.name));
+      row.insertCell().textContent = r.eliminatedAt !== null ? 'éliminé' : r.territory;
+      for (const value of [r.peakTerritory, r.captured, r.lost]) row.insertCell().textContent = value;
+    }
+    clearInterval(countdownTimer);
+    resultsCountdown.textContent = '';
+    if (results.nextRoundInMs) {
+      const nextRoundAt = Date.now() + results.nextRoundInMs;
+      const tick = () => {
+        const seconds = Math.max(0, Math.ceil((nextRoundAt - Date.now()) / 1000));
+        resultsCountdown.textContent = `Prochaine manche dans ${seconds} s`;
+      };
+      tick();
+      countdownTimer = setInterval(tick, 1000);
+    }
+    resultsOverlay.style.display = '';
+  }
+  function hideResults() {
+    clearInterval(countdownTimer);
+    resultsOverlay.style.display = 'none';
+  }
+  resultsCloseBtn.addEventListener('click', () => {
+    resultsOverlay.style.display = 'none';
+  });
+  // Resume a stored session after a page reload
+  const savedSession = JSON.parse(sessionStorage.getItem(SESSION_KEY) || 'null');
+  if (savedSession) {
+    roomId = savedSession.roomId;
+    playerId = savedSession.playerId;
+    sessionToken = savedSession.token;
+    loginOverlay.style.display = 'none';
+    connect();
+  }
+  // Bring a player's territory into view
+  function centreOnPlayer(id) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (const idx of territories.get(id) || []) {
+      const x = idx % gameState.gridW;
+      const y = Math.floor(idx / gameState.gridW);
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x + 1);
+      maxY = Math.max(maxY, y + 1);
+    }
+    if (minX !== Infinity) centreCamera((minX + maxX) / 2, (minY + maxY) / 2);
+  }
+  // Mouse wheel zooms in and out around the pointer
+  canvas.addEventListener(
+    'wheel',
+    (ev) => {
+      if (!gameState) return;
+      ev.preventDefault();
+      const rect = canvas.getBoundingClientRect();
+      const px = ev.clientX - rect.left;
+      const py = ev.clientY - rect.top;
+      const point = canvasToGrid(px, py);
+      camera.scale *= ev.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+      clampCamera();
+      camera.x = point.x - px / camera.scale;
+      camera.y = point.y - py / camera.scale;
+      clampCamera();
+      scheduleDraw();
+    },
+    { passive: false }
+  );
+  // Dragging pans the camera.  The click that ends a drag is not a move.
+  const DRAG_THRESHOLD_PX = 5;
+  let drag = null;
+  let dragEnded = false;
+  canvas.addEventListener('mousedown', (ev) => {
+    if (ev.button !== 0) return;
+    drag = { x: ev.clientX, y: ev.clientY, cameraX: camera.x, cameraY: camera.y, moved: false };
+  });
+  window.addEventListener('mousemove', (ev) => {
+    if (!drag || !gameState) return;
+    const dx = ev.clientX - drag.x;
+    const dy = ev.clientY - drag.y;
+    if (!drag.moved && Math.abs(dx) + Math.abs(dy) < DRAG_THRESHOLD_PX) return;
+    drag.moved = true;
+    camera.x = drag.cameraX - dx / camera.scale;
+    camera.y = drag.cameraY - dy / camera.scale;
+    clampCamera();
+    scheduleDraw();
+  });
+  window.addEventListener('mouseup', (ev) => {
+    dragEnded = !!drag && drag.moved && ev.target === canvas;
+    drag = null;
+  });
+  // Hover inspector: owner, terrain and buildings of the cell under the
+  // pointer
+  const TERRAIN_LABELS = {
+    plains: 'Plaine',
+    forest: 'Forêt',
+    mountain: 'Montagne',
+    desert: 'Désert',
+    shallow: 'Eaux peu profondes',
+    deep: 'Haute mer',
+  };
+  let hoveredCell = null;
+  let hoverPosition = null;
+  function updateTooltip() {
+    if (!gameState || !hoveredCell || (drag && drag.moved)) {
+      cellTooltip.style.display = 'none';
+      return;
+    }
+    const cell = gameState.cells[hoveredCell.y * gameState.gridW + hoveredCell.x];
+    const owner = cell.owner ? gameState.players[cell.owner] : null;
+    let ownerText = cell.land ? (owner ? owner.name : 'Terres libres') : 'Mer';
+    if (cell.visible === false && !cell.explored) ownerText = 'Inexploré';
+    else if (cell.visible === false && cell.land && !waitingToSpawn(gameState)) ownerText += ' (dernière observation)';
+    const lines = [
+      ownerText,
+      `${TERRAIN_LABELS[cell.terrain] || cell.terrain} (${hoveredCell.x}, ${hoveredCell.y})`,
+    ];
+    if (cell.buildings && cell.buildings.length) lines.push(cell.buildings.map(buildingName).join(', '));
+    cellTooltip.textContent = lines.join('\n');
+    cellTooltip.style.left = hoverPosition.x + 14 + 'px';
+    cellTooltip.style.top = hoverPosition.y + 14 + 'px';
+    cellTooltip.style.display = '';
+  }
+  canvas.addEventListener('mousemove', (ev) => {
+    hoveredCell = eventToGridCoords(ev);
+    hoverPosition = { x: ev.clientX, y: ev.clientY };
+    updateTooltip();
+  });
+  canvas.addEventListener('mouseleave', () => {
+    hoveredCell = null;
+    updateTooltip();
+  });
+  // Minimap: the whole map with the camera's view framed; clicking or
+  // dragging on it moves the camera there
+  const MINIMAP_WIDTH = 200;
+  function drawMinimap() {
+    const scale = MINIMAP_WIDTH / gameState.gridW;
+    const height = Math.round(gameState.gridH * scale);
+    if (minimap.width !== MINIMAP_WIDTH || minimap.height !== height) {
+      minimap.width = MINIMAP_WIDTH;
+      minimap.height = height;
+    }
+    minimap.style.display = '';
+    if (worldImage && worldImage.complete) {
+      minimapCtx.drawImage(worldImage, 0, 0, minimap.width, minimap.height);
+    } else {
+      minimapCtx.fillStyle = '#004';
+      minimapCtx.fillRect(0, 0, minimap.width, minimap.height);
+    }
+    minimapCtx.imageSmoothingEnabled = false;
+    minimapCtx.drawImage(territoryLayer, 0, 0, minimap.width, minimap.height);
+    minimapCtx.strokeStyle = '#fff';
+    minimapCtx.lineWidth = 1;
+    minimapCtx.strokeRect(
+      camera.x * scale + 0.5,
+      camera.y * scale + 0.5,
+      (canvas.width / camera.scale) * scale - 1,
+      (canvas.height / camera.scale) * scale - 1
+    );
   }
+  function moveCameraFromMinimap(ev) {
+    const rect = minimap.getBoundingClientRect();
+    const scale = minimap.width / gameState.gridW;
+    centreCamera((ev.clientX - rect.left) / scale, (ev.clientY - rect.top) / scale);
+    scheduleDraw();
+  }
+  minimap.addEventListener('mousedown', (ev) => {
+    if (!gameState || ev.button !== 0) return;
+    moveCameraFromMinimap(ev);
+  });
+  minimap.addEventListener('mousemove', (ev) => {
+    if (gameState && ev.buttons & 1) moveCameraFromMinimap(ev);
+  });
   // Canvas click handler
   canvas.addEventListener('click', (ev) => {
-    if (!gameState || !playerId) return;
+    if (!gameState) return;
+    if (dragEnded) {
+      dragEnded = false;
+      return;
+    }
     const coords = eventToGridCoords(ev);
     if (!coords) return;
     const { x, y } = coords;
     const idx = y * gameState.gridW + x;
     const cell = gameState.cells[idx];
+    // Spectators follow the owner of the clicked cell
+    if (isSpectating()) {
+      if (!cell.owner) return;
+      followedId = cell.owner;
+      scheduleDraw();
+      updateScoreboard();
+      updateSpectatorPanel();
+      return;
+    }
     // Default click behaviour:
     //  - If no cell selected: select your own cell or spawn if clicking on neutral land.
     //  - If a cell is selected: clicking on any neutral or enemy land will expand from
     //    the selected cell into all adjacent targets using the chosen troop percentage.
-    //    Clicking on another of your cells simply changes the selection.
+    //    When the selected cell is a port, clicking on land further away sends a boat
+    //    there instead.  Clicking on another of your cells simply changes the selection.
     if (!selectedCell) {
       if (cell.owner === playerId) {
         // Select one of your cells
         selectedCell = { x, y };
       } else if (cell.land && !cell.owner) {
         // Spawn on neutral land
-        fetch('/api/spawn', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ playerId, x, y }),
-        });
+        command('spawn', { x, y });
       }
     } else {
       if (cell.owner === playerId) {
         // Clicking on your own cell changes selection
         selectedCell = { x, y };
       } else if (cell.land) {
-        // Attack/expand from the selected cell into all neighbouring targets
         const percent = parseInt(troopSlider.value, 10) / 100;
-        fetch('/api/expand', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ playerId, x: selectedCell.x, y: selectedCell.y, troopsPercent: percent }),
-        });
+        const source = gameState.cells[selectedCell.y * gameState.gridW + selectedCell.x];
+        const distance = Math.max(Math.abs(x - selectedCell.x), Math.abs(y - selectedCell.y));
+        if (launchesBoats(source) && distance > 1) {
+          // Sail from the selected port to the clicked coast
+          command('launch_boat', {
+            srcX: selectedCell.x,
+            srcY: selectedCell.y,
+            dstX: x,
+            dstY: y,
+            troopsPercent: percent,
+          });
+        } else {
+          // Attack/expand from the selected cell into all neighbouring targets
+          command('expand', { x: selectedCell.x, y: selectedCell.y, troopsPercent: percent });
+        }
       }
     }
+    updateBuildMenu();
   });
   // Right click to deselect
   canvas.addEventListener('contextmenu', (ev) => {
     ev.preventDefault();
     selectedCell = null;
+    if (gameState) updateBuildMenu();
   });
-  // Build port/city buttons
-  buildPortBtn.addEventListener('click', () => {
-    if (!selectedCell || !playerId) return;
-    fetch('/api/build_port', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ playerId, x: selectedCell.x, y: selectedCell.y }),
-    });
-  });
-  buildCityBtn.addEventListener('click', () => {
-    if (!selectedCell || !playerId) return;
-    fetch('/api/build_city', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ playerId, x: selectedCell.x, y: selectedCell.y }),
-    });
-  });
-  // Draw game state
+  // True if one of the buildings on a cell lets boats set sail
+  function launchesBoats(cell) {
+    return (gameState.catalog || []).some((b) => b.effects.boats && cell.buildings.includes(b.type));
+  }
+  // Tint of each terrain over the map background, and the shade laid over
+  // owned cells so that the terrain still shows under the owner's colour
+  const TERRAIN_COLORS = {
+    plains: 'rgba(170,200,120,0.35)',
+    forest: 'rgba(40,110,50,0.6)',
+    mountain: 'rgba(120,100,85,0.7)',
+    desert: 'rgba(230,200,120,0.6)',
+    shallow: 'rgba(90,170,220,0.35)',
+    deep: 'rgba(20,50,120,0.45)',
+  };
+  const TERRAIN_SHADES = {
+    forest: 'rgba(0,60,0,0.25)',
+    mountain: 'rgba(0,0,0,0.35)',
+    desert: 'rgba(255,230,150,0.3)',
+  };
+  // Where the markers of buildings sit within a cell, as fractions of it
+  const BUILDING_CORNERS = [
+    [0.2, 0.2],
+    [0.8, 0.2],
+    [0.2, 0.8],
+    [0.8, 0.8],
+  ];
+  // Territory layer: an offscreen canvas with one pixel per cell, holding
+  // the cell's owner colour or terrain tint.  The camera scales it up in a
+  // single drawImage, and a delta only repaints the cells it changed.
+  const territoryLayer = document.createElement('canvas');
+  const territoryCtx = territoryLayer.getContext('2d');
+  let territoryPixels = null;
+  // CSS colours as [r, g, b, a], read back from a one pixel canvas
+  const colorProbe = document.createElement('canvas');
+  colorProbe.width = 1;
+  colorProbe.height = 1;
+  const colorProbeCtx = colorProbe.getContext('2d', { willReadFrequently: true });
+  const parsedColors = new Map();
+  function parseColor(css) {
+    let rgba = parsedColors.get(css);
+    if (!rgba) {
+      colorProbeCtx.clearRect(0, 0, 1, 1);
+      colorProbeCtx.fillStyle = css;
+      colorProbeCtx.fillRect(0, 0, 1, 1);
+      rgba = [...colorProbeCtx.getImageData(0, 0, 1, 1).data];
+      parsedColors.set(css, rgba);
+    }
+    return rgba;
+  }
+  // Colour of a cell on the territory layer: owned land in its owner's
+  // colour, shaded by the terrain, anything else in the terrain's tint
+  // Under fog of war, cells out of sight are dimmed and unexplored ones
+  // almost hidden
+  const FOG_SHADES = {
+    unseen: 'rgba(0,0,0,0.45)',
+    unexplored: 'rgba(0,0,0,0.85)',
+  };
+  function cellColor(cell) {
+    let color;
+    if (!cell.land || !cell.owner) {
+      color = parseColor(TERRAIN_COLORS[cell.terrain]);
+    } else {
+      const owner = gameState.players[cell.owner];
+      color = parseColor(owner ? owner.color : '#888');
+      if (TERRAIN_SHADES[cell.terrain]) color = blendColors(color, parseColor(TERRAIN_SHADES[cell.terrain]));
+    }
+    if (cell.visible === false) {
+      color = blendColors(color, parseColor(cell.explored ? FOG_SHADES.unseen : FOG_SHADES.unexplored));
+    }
+    return color;
+  }
+  // One [r, g, b, a] colour painted over another
+  function blendColors(below, above) {
+    const top = above[3] / 255;
+    const bottom = (below[3] / 255) * (1 - top);
+    const alpha = top + bottom;
+    if (!alpha) return [0, 0, 0, 0];
+    return [0, 1, 2]
+      .map((c) => Math.round((above[c] * top + below[c] * bottom) / alpha))
+      .concat(Math.round(alpha * 255));
+  }
+  // Paint the whole layer, for a new state
+  function repaintTerritory() {
+    territoryLayer.width = gameState.gridW;
+    territoryLayer.height = gameState.gridH;
+    territoryPixels = territoryCtx.createImageData(gameState.gridW, gameState.gridH);
+    gameState.cells.forEach((cell, idx) => territoryPixels.data.set(cellColor(cell), idx * 4));
+    territoryCtx.putImageData(territoryPixels, 0, 0);
+  }
+  // Repaint some cells of the layer, uploading only the rectangle around
+  // them
+  function paintTerritory(indices) {
+    if (!indices.length) return;
+    let minX = gameState.gridW;
+    let minY = gameState.gridH;
+    let maxX = 0;
+    let maxY = 0;
+    for (const idx of indices) {
+      const x = idx % gameState.gridW;
+      const y = Math.floor(idx / gameState.gridW);
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+      territoryPixels.data.set(cellColor(gameState.cells[idx]), idx * 4);
+    }
+    territoryCtx.putImageData(territoryPixels, 0, 0, minX, minY, maxX - minX + 1, maxY - minY + 1);
+  }
+  // Draw game state: the map background, the territory layer, then the
+  // overlay
   function drawGame() {
-    if (!gameState) return;
+    if (!gameState || !territoryPixels) return;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    // Draw in grid pixels from here on: cell (x, y) starts at
+    // (x * cellW, y * cellH) and the camera shifts the whole picture
+    const cellW = camera.scale;
+    const cellH = camera.scale;
+    const width = gameState.gridW * cellW;
+    const height = gameState.gridH * cellH;
+    ctx.setTransform(1, 0, 0, 1, Math.round(-camera.x * cellW), Math.round(-camera.y * cellH));
     if (worldImage && worldImage.complete) {
-      ctx.drawImage(worldImage, 0, 0, canvas.width, canvas.height);
+      ctx.drawImage(worldImage, 0, 0, width, height);
     } else {
       ctx.fillStyle = '#004';
-      ctx.fillRect(0, 0, canvas.width, canvas.height);
-    }
-    const cellW = canvas.width / gameState.gridW;
-    const cellH = canvas.height / gameState.gridH;
-    for (let y = 0; y < gameState.gridH; y++) {
-      for (let x = 0; x < gameState.gridW; x++) {
-        const idx = y * gameState.gridW + x;
-        const cell = gameState.cells[idx];
-        if (!cell.land) continue;
-        if (cell.owner) {
-          const player = gameState.players[cell.owner];
-          ctx.fillStyle = player ? player.color : '#888';
-        } else {
-          ctx.fillStyle = 'rgba(255,255,255,0.05)';
-        }
-        ctx.fillRect(x * cellW, y * cellH, cellW, cellH);
-        if (selectedCell && selectedCell.x === x && selectedCell.y === y) {
-          ctx.strokeStyle = '#FFD700';
-          ctx.lineWidth = 2;
-          ctx.strokeRect(x * cellW + 1, y * cellH + 1, cellW - 2, cellH - 2);
-        }
-        if (cell.port) {
-          ctx.fillStyle = '#00BFFF';
-          ctx.beginPath();
-          ctx.arc(
-            x * cellW + cellW * 0.8,
-            y * cellH + cellH * 0.2,
-            Math.min(cellW, cellH) * 0.1,
-            0,
-            Math.PI * 2
-          );
-          ctx.fill();
-        }
-        if (cell.city) {
-          ctx.fillStyle = '#FFA500';
-          ctx.beginPath();
-          ctx.arc(
-            x * cellW + cellW * 0.2,
-            y * cellH + cellH * 0.2,
-            Math.min(cellW, cellH) * 0.1,
-            0,
-            Math.PI * 2
-          );
-          ctx.fill();
-        }
-        // We no longer display troop counts on individual cells; troop counts are shown in the scoreboard
+      ctx.fillRect(0, 0, width, height);
+    }
+    // No smoothing, so that cells keep sharp edges
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(territoryLayer, 0, 0, width, height);
+    ctx.imageSmoothingEnabled = true;
+    drawOverlay(cellW, cellH);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    drawMinimap();
+  }
+  // Overlay layer, redrawn every frame from the indexes rather than from
+  // every cell: buildings, selection, the followed player's border, fronts,
+  // boats and spawn zones
+  function drawOverlay(cellW, cellH) {
+    const x0 = Math.floor(camera.x);
+    const y0 = Math.floor(camera.y);
+    const x1 = camera.x + canvas.width / cellW;
+    const y1 = camera.y + canvas.height / cellH;
+    // One marker per building, in the corner given by its place in the catalog
+    for (const idx of buildingCells) {
+      const x = idx % gameState.gridW;
+      const y = Math.floor(idx / gameState.gridW);
+      if (x < x0 || y < y0 || x > x1 || y > y1) continue;
+      const cell = gameState.cells[idx];
+      (gameState.catalog || []).forEach((building, i) => {
+        if (!cell.buildings.includes(building.type)) return;
+        const [cx, cy] = BUILDING_CORNERS[i % BUILDING_CORNERS.length];
+        ctx.fillStyle = building.color;
+        ctx.beginPath();
+        ctx.arc(x * cellW + cellW * cx, y * cellH + cellH * cy, Math.min(cellW, cellH) * 0.1, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    }
+    if (selectedCell) {
+      ctx.strokeStyle = '#FFD700';
+      ctx.lineWidth = 2;
+      ctx.strokeRect(selectedCell.x * cellW + 1, selectedCell.y * cellH + 1, cellW - 2, cellH - 2);
+    }
+    // Border of the followed player's territory: the cell sides it ends on
+    const followed = territories.get(followedId);
+    if (followed) {
+      ctx.strokeStyle = '#fff';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      const side = (x, y, x2, y2) => {
+        ctx.moveTo(x * cellW, y * cellH);
+        ctx.lineTo(x2 * cellW, y2 * cellH);
+      };
+      for (const idx of followed) {
+        const x = idx % gameState.gridW;
+        const y = Math.floor(idx / gameState.gridW);
+        if (y === 0 || !followed.has(idx - gameState.gridW)) side(x, y, x + 1, y);
+        if (y === gameState.gridH - 1 || !followed.has(idx + gameState.gridW)) side(x, y + 1, x + 1, y + 1);
+        if (x === 0 || !followed.has(idx - 1)) side(x, y, x, y + 1);
+        if (x === gameState.gridW - 1 || !followed.has(idx + 1)) side(x + 1, y, x + 1, y + 1);
+      }
+      ctx.stroke();
+    }
+    // Outline the cells each attack order fought over during the last tick
+    ctx.lineWidth = 2;
+    ctx.setLineDash([3, 2]);
+    for (const front of gameState.fronts || []) {
+      const attacker = gameState.players[front.playerId];
+      ctx.strokeStyle = attacker ? attacker.color : '#fff';
+      for (const idx of front.cells) {
+        const x = idx % gameState.gridW;
+        const y = Math.floor(idx / gameState.gridW);
+        ctx.strokeRect(x * cellW + 1, y * cellH + 1, cellW - 2, cellH - 2);
+      }
+    }
+    // Boats at sea, with the route still ahead of them dashed in their
+    // owner's colour up to the landing cell
+    for (const boat of gameState.boats || []) {
+      const owner = gameState.players[boat.playerId];
+      const centre = (idx) => [
+        ((idx % gameState.gridW) + 0.5) * cellW,
+        (Math.floor(idx / gameState.gridW) + 0.5) * cellH,
+      ];
+      ctx.strokeStyle = owner ? owner.color : '#fff';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(...centre(boat.cell));
+      for (const idx of boat.route) ctx.lineTo(...centre(idx));
+      ctx.stroke();
+      const [bx, by] = centre(boat.cell);
+      const size = Math.max(3, Math.min(cellW, cellH) * 0.4);
+      ctx.fillStyle = owner ? owner.color : '#fff';
+      ctx.beginPath();
+      ctx.moveTo(bx - size, by);
+      ctx.lineTo(bx + size, by);
+      ctx.lineTo(bx + size * 0.6, by + size * 0.6);
+      ctx.lineTo(bx - size * 0.6, by + size * 0.6);
+      ctx.closePath();
+      ctx.fill();
+      ctx.fillStyle = '#fff';
+      ctx.font = `${Math.max(8, size * 1.5)}px sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.fillText(String(boat.troops), bx, by - size * 0.3);
+    }
+    ctx.setLineDash([]);
+    // Until the player has spawned, show where they may do so
+    if (waitingToSpawn(gameState)) {
+      ctx.strokeStyle = '#FFD700';
+      ctx.lineWidth = 2;
+      for (const zone of gameState.map.spawnZones) {
+        ctx.strokeRect(zone.x * cellW, zone.y * cellH, zone.w * cellW, zone.h * cellH);
       }
     }
   }
@@ -222,29 +1425,66 @@
     const entries = [];
     for (const pid in gameState.players) {
       const p = gameState.players[pid];
-      // Count territory size
-      let territorySize = 0;
-      for (let idx = 0; idx < gameState.cells.length; idx++) {
-        if (gameState.cells[idx].owner === pid) territorySize++;
-      }
-      entries.push({ id: pid, name: p.name, color: p.color, troops: p.troops ?? 0, territory: territorySize });
+      entries.push({
+        id: pid,
+        name: p.name,
+        color: p.color,
+        // Hidden (null) for rivals under fog of war
+        troops: p.troops,
+        territory: p.territory,
+        disconnected: p.disconnected,
+        eliminated: p.eliminated,
+      });
     }
-    // Sort by troop count descending
-    entries.sort((a, b) => b.troops - a.troops);
-    let html = '';
+    // Sort by troop count descending, or by territory when fog of war hides
+    // the troops of rivals
+    entries.sort((a, b) => (gameState.fog ? b.territory - a.territory : b.troops - a.troops));
+    const span = (className, text) => {
+      const element = document.createElement('span');
+      element.className = className;
+      element.textContent = text;
+      return element;
+    };
+    scoreboard.innerHTML = '';
     entries.forEach((e) => {
       const you = e.id === playerId;
-      html += `<div class="player-row${you ? ' you' : ''}">`;
-      html += `<span class="color-box" style="background:${e.color}"></span>`;
-      html += `<span class="name">${e.name}</span>`;
+      const row = document.createElement('div');
+      row.className = `player-row${you ? ' you' : ''}${e.id === followedId ? ' followed' : ''}`;
+      if (e.disconnected || e.eliminated) row.className += ' disconnected';
+      const colorBox = span('color-box', '');
+      colorBox.style.background = e.color;
+      row.appendChild(colorBox);
+      let status = '';
+      if (e.eliminated) status = ' (éliminé)';
+      else if (e.disconnected) status = ' (déconnecté)';
+      row.appendChild(span('name', e.name + status));
       // Display both the total number of troops and the size of the territory
       // in a clearer format. Previously this was rendered as "troops (territory)"
       // which some players found confusing. Now we explicitly label each value
       // to show that the first number is the army size and the second is the
       // number of tiles under the player's control.
-      html += `<span class="value">${e.troops} troupes | ${e.territory} territoires</span>`;
-      html += `</div>`;
+      row.appendChild(span('value', `${e.troops ?? '?'} troupes | ${e.territory} territoires`));
+      const button = (action, title, text) => {
+        const element = document.createElement('button');
+        element.dataset.action = action;
+        element.dataset.target = e.id;
+        element.title = title;
+        element.textContent = text;
+        row.appendChild(element);
+      };
+      if (!isSpectating() && !you && !e.eliminated) {
+        const treaty = treatyWith(e.id);
+        if (treaty) {
+          row.appendChild(span('treaty', TREATY_NAMES[treaty.kind]));
+        }
+        if (!treaty || treaty.kind === 'truce') {
+          button('propose_alliance', 'Proposer une alliance', 'Alliance');
+        }
+        if (!treaty) {
+          button('request_truce', 'Demander une trêve', 'Trêve');
+        }
+      }
+      scoreboard.appendChild(row);
     });
-    scoreboard.innerHTML = html;
   }
 })();
\ No newline at end of file
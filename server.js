@@ -1,522 +1,1442 @@
 const http = require('http');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-
-// Load the precomputed land mask
-const landMask = require('./generated/land_mask.json');
-const GRID_W = landMask[0].length;
-const GRID_H = landMask.length;
+const { Game, MAX_PLAYERS_PER_GAME, DEFAULT_WIN_CONDITIONS, REJECTIONS } = require('./game');
+const { STRATEGY_NAMES, DIFFICULTIES } = require('./bots');
+const { PUBLIC_EVENTS } = require('./diplomacy');
+const { computeVisibility, fogState, fogDelta } = require('./fog');
+const { DEFAULT_MAP_ID, MAP_ID_PATTERN, getMap, listMaps } = require('./maps');
+const { AUTOSAVE_NAME, snapshotPath, writeSnapshot, readSnapshot, listSnapshots } = require('./snapshots');
+const { Server: SocketServer } = require('socket.io');
+const { PROTOCOL_VERSION, REASONS, GAME_COMMANDS, message, ack, checkEnvelope, validate, validateCommand } = require('./protocol');
 
 const TICK_INTERVAL_MS = 1000;
-const MAX_PLAYERS_PER_GAME = 10;
+const DEFAULT_ROOM_ID = 'main';
+const ROOM_SWEEP_INTERVAL_MS = 60 * 1000;
+const MIN_TICK_INTERVAL_MS = 250;
+const MAX_TICK_INTERVAL_MS = 5000;
+// How long a disconnected player keeps their empire before abandoning it
+const RECONNECT_GRACE_MS = parseInt(process.env.RECONNECT_GRACE_MS, 10) || 30 * 1000;
+const MAX_RECONNECT_GRACE_MS = 5 * 60 * 1000;
+// Pause between the results screen and the next round
+const NEXT_ROUND_DELAY_MS = 15 * 1000;
+const MAX_TIME_LIMIT_MINUTES = 180;
+// Match recordings are written here as JSONL replay files
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, 'recordings');
+const REPLAY_FORMAT_VERSION = 2;
+const REPLAY_SPEEDS = [0.5, 1, 2, 4, 8];
+// Replay rooms open at once; opening more is refused until idle ones are swept
+const MAX_REPLAY_ROOMS = 10;
+// Live rooms, the default one included; creating more is refused likewise
+const MAX_ROOMS = 20;
+// Live rooms are saved to the autosave snapshot this often, and on shutdown
+const SNAPSHOT_INTERVAL_MS = parseInt(process.env.SNAPSHOT_INTERVAL_MS, 10) || 30 * 1000;
+// Bearer token of the admin routes; they are disabled without one
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+// Chat: 'alliance' reaches the sender's allies, 'direct' a single player
+const CHAT_CHANNELS = ['global', 'alliance', 'direct'];
+const MAX_CHAT_LENGTH = 200;
+// At most CHAT_RATE_LIMIT messages per player in any CHAT_RATE_WINDOW_MS
+const CHAT_RATE_LIMIT = 5;
+const CHAT_RATE_WINDOW_MS = 10 * 1000;
+// At most ACTION_RATE_LIMIT commands per player in any ACTION_RATE_WINDOW_MS
+const ACTION_RATE_LIMIT = 20;
+const ACTION_RATE_WINDOW_MS = 1000;
+// At most JOIN_RATE_LIMIT joins per address in any JOIN_RATE_WINDOW_MS, all
+// rooms together
+const JOIN_RATE_LIMIT = 3;
+const JOIN_RATE_WINDOW_MS = 60 * 1000;
+// Request bodies above this size are refused with a 413
+const MAX_BODY_BYTES = 16 * 1024;
+
+// Body of a room creation request.  Numbers out of range are clamped.
+const ROOM_SETTINGS_SCHEMA = {
+  name: { type: 'string', maxLength: 200, optional: true },
+  maxPlayers: { type: 'number', optional: true },
+  tickIntervalMs: { type: 'number', optional: true },
+  bots: { type: 'boolean', optional: true },
+  map: { type: 'string', maxLength: 40, optional: true },
+  botStrategy: { enum: [...STRATEGY_NAMES, 'mixed'], optional: true },
+  botDifficulty: { enum: [...Object.keys(DIFFICULTIES), 'mixed'], optional: true },
+  reconnectGraceMs: { type: 'number', optional: true },
+  abandon: { enum: ['bot', 'release'], optional: true },
+  seed: { type: ['number', 'string'], maxLength: 64, optional: true },
+  record: { type: 'boolean', optional: true },
+  fog: { type: 'boolean', optional: true },
+  winConditions: { type: 'object', optional: true },
+};
+const WIN_CONDITIONS_SCHEMA = {
+  landPercent: { type: 'number', optional: true },
+  lastStanding: { type: 'boolean', optional: true },
+  timeLimitMinutes: { type: 'number', optional: true },
+};
+const OPEN_REPLAY_SCHEMA = { file: { type: 'string', maxLength: 200 } };
+const REPLAY_CONTROL_SCHEMA = {
+  paused: { type: 'boolean', optional: true },
+  speed: { enum: REPLAY_SPEEDS, optional: true },
+};
+const SAVE_SNAPSHOT_SCHEMA = { name: { type: 'string', maxLength: 40 } };
+
+// Methods of every route; other paths under /api are unknown
+const ROUTES = [
+  { pattern: /^\/events$/, methods: ['GET'] },
+  { pattern: /^\/api\/rooms$/, methods: ['GET', 'POST'] },
+  { pattern: /^\/api\/replays$/, methods: ['GET', 'POST'] },
+  { pattern: /^\/api\/maps$/, methods: ['GET'] },
+  { pattern: /^\/api\/maps\/[^/]+\/background$/, methods: ['GET'] },
+  { pattern: /^\/api\/rooms\/[^/]+\/[a-z_]+$/, methods: ['POST'] },
+  { pattern: /^\/api\/admin\/snapshots$/, methods: ['GET', 'POST'] },
+  { pattern: /^\/api\/admin\/snapshots\/[^/]+\/load$/, methods: ['POST'] },
+];
+const STATIC_DIR = path.join(__dirname, 'public');
 
-// Generate a random colour string in HSL format for players
-function randomColor() {
-  const hue = Math.floor(Math.random() * 360);
-  return `hsl(${hue}, 60%, 50%)`;
+// Sliding window rate limit: at most `limit` events per key in any
+// `windowMs`.
+class RateLimiter {
+  constructor(limit, windowMs) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    // Times of each key's recent events: Map<key, number[]>
+    this.times = new Map();
+  }
+  /**
+   * Milliseconds a key must wait before its next event; 0 when it may go
+   * ahead now, in which case the event is counted.
+   */
+  take(key, now = Date.now()) {
+    const times = (this.times.get(key) || []).filter((t) => now - t < this.windowMs);
+    if (times.length >= this.limit) {
+      this.times.set(key, times);
+      return this.windowMs - (now - times[0]);
+    }
+    times.push(now);
+    this.times.set(key, times);
+    return 0;
+  }
+  forget(key) {
+    this.times.delete(key);
+  }
+  /**
+   * Drop the keys whose events are all out of the window.
+   */
+  prune(now = Date.now()) {
+    for (const [key, times] of this.times) {
+      if (now - times[times.length - 1] >= this.windowMs) this.times.delete(key);
+    }
+  }
 }
 
-// Game class defines the grid and methods for manipulating it.  This version
-// manages troops on a per‑player basis rather than per cell.  Each player
-// receives pooled troops which grow over time based on territory size and
-// cities.  Attacks spend a percentage of the player's total troops.
-class Game {
-  constructor() {
-    // Initialise each grid cell; troops property remains for legacy but is
-    // unused in the gameplay.  Ports and cities live on cells.
-    this.cells = new Array(GRID_W * GRID_H);
-    for (let y = 0; y < GRID_H; y++) {
-      for (let x = 0; x < GRID_W; x++) {
-        const idx = y * GRID_W + x;
-        this.cells[idx] = {
-          land: landMask[y][x] === 1,
-          owner: null,
-          troops: 0,
-          port: false,
-          city: false,
-        };
-      }
+// Joins of each remote address
+const joinLimiter = new RateLimiter(JOIN_RATE_LIMIT, JOIN_RATE_WINDOW_MS);
+
+// Writes a match recording: a header line with the settings and seed, then
+// one line per accepted action with the tick it was applied on.  The file is
+// only created once someone plays: until then the bots filling the room are
+// held back, so rounds nobody played leave no recording.
+class Recorder {
+  constructor(file, header) {
+    this.file = file;
+    this.header = header;
+    this.stream = null;
+    this.pending = [];
+  }
+  open() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+    this.stream.on('error', (err) => {
+      console.error('Recording failed', this.file, err.message);
+    });
+    this.write({ type: 'header', version: REPLAY_FORMAT_VERSION, ...this.header });
+    for (const entry of this.pending) this.write(entry);
+    this.pending = [];
+  }
+  write(entry) {
+    this.stream.write(JSON.stringify(entry) + '\n');
+  }
+  record(tick, action) {
+    const entry = { type: 'action', tick, action };
+    if (!this.stream && action.type === 'add_bot') {
+      this.pending.push(entry);
+      return;
     }
-    // players[id] = { id, name, color, cells: Set<int>, troops: number }
-    this.players = {};
-    this.bots = [];
+    if (!this.stream) this.open();
+    this.write(entry);
+  }
+  close(tick) {
+    if (!this.stream) return;
+    this.write({ type: 'end', tick });
+    this.stream.end();
+  }
+}
+
+// Read a replay file back into its header and action entries.  Throws if
+// the file is not a recording this server understands.
+function loadRecording(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter((l) => l.trim());
+  const entries = lines.map((l) => JSON.parse(l));
+  const header = entries.shift();
+  if (!header || header.type !== 'header' || header.version !== REPLAY_FORMAT_VERSION) {
+    throw new Error('Unsupported replay format');
+  }
+  // The match must replay on the very terrain it was played on
+  const map = getMap(header.mapId || DEFAULT_MAP_ID);
+  if (!map || map.hash !== header.mapHash) throw new Error('Unknown map');
+  const end = entries.find((e) => e.type === 'end');
+  return { header, actions: entries.filter((e) => e.type === 'action'), endTick: end ? end.tick : null };
+}
+
+// Only plain file names inside RECORDINGS_DIR may be replayed
+function recordingPath(name) {
+  if (typeof name !== 'string' || !/^[\w.-]+\.jsonl$/.test(name)) return null;
+  return path.join(RECORDINGS_DIR, name);
+}
+
+// A room wraps one Game together with its own tick loop, bots and SSE
+// clients.  The server hosts any number of rooms side by side; players pick
+// one from the lobby.
+class Room {
+  constructor(id, settings = {}) {
+    this.id = id;
+    this.name = settings.name || 'Partie ' + id;
+    this.map = getMap(settings.mapId || DEFAULT_MAP_ID);
+    this.maxPlayers = settings.maxPlayers || Math.min(MAX_PLAYERS_PER_GAME, this.map.recommendedPlayers);
+    this.tickIntervalMs = settings.tickIntervalMs || TICK_INTERVAL_MS;
+    this.bots = settings.bots !== false;
+    // Strategy and difficulty of the bots filling the room; 'mixed' varies
+    // them from bot to bot
+    this.botStrategy = settings.botStrategy || 'mixed';
+    this.botDifficulty = settings.botDifficulty || 'normal';
+    this.reconnectGraceMs = settings.reconnectGraceMs !== undefined ? settings.reconnectGraceMs : RECONNECT_GRACE_MS;
+    // What happens to an abandoned empire: 'bot' hands it to a bot
+    // controller, 'release' frees the territory.
+    this.abandon = settings.abandon === 'release' ? 'release' : 'bot';
+    this.winConditions = { ...DEFAULT_WIN_CONDITIONS, ...settings.winConditions };
+    this.record = !!settings.record;
+    // Fog of war: players only get what they can see (see fog.js)
+    this.fog = !!settings.fog;
+    this.createdAt = Date.now();
+    this.round = 0;
+    this.game = null;
+    this.recorder = null;
+    this.resultsSent = false;
+    this.nextRoundTimer = null;
+    // Set for good by stop(): streams closing afterwards must not arm timers
+    this.stopped = false;
+    // The requested seed applies to the first round only
+    this.startRound(settings.seed);
+    // Connected streams, SSE or socket: list of {id, token, streamId, send,
+    // close, visible}.  send(msg) delivers one protocol message.  Streams
+    // without a player, and those of eliminated players, are spectators.
+    // Under fog of war, visible holds the cells last shown to the stream's
+    // player, or null if it was shown everything.
+    this.clients = [];
+    // Secret session tokens issued on join: Map<token, playerId>.  Player ids
+    // are public (they appear in the state), tokens never leave the player.
+    this.sessions = new Map();
+    // Pending abandon timers of disconnected players: Map<token, Timeout>
+    this.graceTimers = new Map();
+    this.chatLimiter = new RateLimiter(CHAT_RATE_LIMIT, CHAT_RATE_WINDOW_MS);
+    // Commands of each player, or of each stream for read-only ones
+    this.actionLimiter = new RateLimiter(ACTION_RATE_LIMIT, ACTION_RATE_WINDOW_MS);
+    this.nextChatId = 1;
+    this.timer = null;
   }
   /**
-   * Add a new player to the game.  Returns false if the maximum number of
-   * players has been reached.
+   * Start the periodic update loop for this room.
    */
-  addPlayer(id, name) {
-    if (Object.keys(this.players).length >= MAX_PLAYERS_PER_GAME) return false;
-    const color = randomColor();
-    // Start with no territory and zero troops.  Troops will be granted on
-    // spawn.
-    this.players[id] = { id, name, color, cells: new Set(), troops: 0 };
-    return true;
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.step(), this.tickIntervalMs);
   }
   /**
-   * Remove a player from the game and free their territory.
+   * Start a new round with a fresh Game, and a fresh recording if enabled.
    */
-  removePlayer(id) {
-    const player = this.players[id];
-    if (!player) return;
-    for (const cellIdx of player.cells) {
-      const cell = this.cells[cellIdx];
-      cell.owner = null;
-      cell.troops = 0;
-      cell.port = false;
-      cell.city = false;
-    }
-    delete this.players[id];
-  }
-  /**
-   * Spawn a player on an empty land cell.  Grants initial troops to the
-   * player and claims the chosen cell.
-   */
-  spawn(id, x, y) {
-    const idx = y * GRID_W + x;
-    const cell = this.cells[idx];
-    if (!cell.land || cell.owner) return false;
-    cell.owner = id;
-    cell.troops = 0;
-    cell.port = false;
-    cell.city = false;
-    this.players[id].cells.add(idx);
-    // grant starting troops
-    this.players[id].troops += 10;
-    return true;
-  }
-  /**
-   * Attack from a source cell to a destination cell using a fraction of the
-   * player's pooled troops.  The percent argument should be in the range
-   * 0–1.  The game will deduct that percentage of the player's total troops
-   * and resolve the attack.  Returns true if the attack was valid.
-   */
-  attack(id, srcX, srcY, dstX, dstY, percent) {
-    const srcIdx = srcY * GRID_W + srcX;
-    const dstIdx = dstY * GRID_W + dstX;
-    const srcCell = this.cells[srcIdx];
-    const dstCell = this.cells[dstIdx];
-    const player = this.players[id];
-    if (!player || !srcCell || srcCell.owner !== id) return false;
-    // Validate movement: either adjacent or two steps via port for water jump
-    const dx = dstX - srcX;
-    const dy = dstY - srcY;
-    const maxStep = Math.max(Math.abs(dx), Math.abs(dy));
-    if (maxStep !== 1) {
-      if (maxStep === 2 && srcCell.port) {
-        const midX = srcX + Math.sign(dx);
-        const midY = srcY + Math.sign(dy);
-        const midIdx = midY * GRID_W + midX;
-        const midCell = this.cells[midIdx];
-        if (!(midCell && !midCell.land && dstCell && dstCell.land)) {
-          return false;
-        }
-      } else {
-        return false;
-      }
+  startRound(seed) {
+    this.round += 1;
+    this.game = new Game({ maxPlayers: this.maxPlayers, seed, winConditions: this.winConditions, map: this.map });
+    this.resultsSent = false;
+    this.nextRoundTimer = null;
+    if (this.record) {
+      const startedAt = Date.now();
+      const file = path.join(RECORDINGS_DIR, `${this.id}-${startedAt}.jsonl`);
+      this.recorder = new Recorder(file, {
+        roomId: this.id,
+        name: this.name,
+        round: this.round,
+        maxPlayers: this.maxPlayers,
+        tickIntervalMs: this.tickIntervalMs,
+        winConditions: this.winConditions,
+        seed: this.game.seed,
+        mapId: this.map.id,
+        mapHash: this.map.hash,
+        gridW: this.game.gridW,
+        gridH: this.game.gridH,
+        startedAt: new Date(startedAt).toISOString(),
+      });
     }
-    // Compute troops to send.  Require at least one.
-    const totalTroops = player.troops;
-    const toSend = Math.floor(totalTroops * percent);
-    if (toSend < 1) return false;
-    // Deduct troops from the player
-    player.troops -= toSend;
-    // If dest is unowned, capture it
-    if (!dstCell.owner) {
-      dstCell.owner = id;
-      dstCell.port = false;
-      dstCell.city = false;
-      player.cells.add(dstIdx);
-      return true;
-    }
-    // If dest belongs to attacker, do nothing (no reinforcement)
-    if (dstCell.owner === id) {
-      return false;
-    }
-    // Otherwise battle another player
-    const defenderId = dstCell.owner;
-    const defender = this.players[defenderId];
-    if (!defender) return false;
-    if (toSend > defender.troops) {
-      // Eliminates defender's troops
-      defender.troops = 0;
-      // Transfer cell
-      defender.cells.delete(dstIdx);
-      dstCell.owner = id;
-      dstCell.port = false;
-      dstCell.city = false;
-      player.cells.add(dstIdx);
-      return true;
-    }
-    // Otherwise reduce defender troop pool
-    defender.troops -= toSend;
-    return true;
-  }
-  /**
-   * Expand from a source cell into all neighbouring enemy or unclaimed cells.
-   * Sends the specified fraction of troops divided evenly among all targets.
-   */
-  expand(id, x, y, percent) {
-    const srcIdx = y * GRID_W + x;
-    const srcCell = this.cells[srcIdx];
-    if (!srcCell || srcCell.owner !== id) return false;
-    const player = this.players[id];
-    if (!player) return false;
-    // Build list of reachable target coordinates (adjacent or via port)
-    const targets = [];
-    for (let j = -1; j <= 1; j++) {
-      for (let i = -1; i <= 1; i++) {
-        if (i === 0 && j === 0) continue;
-        const nx = x + i;
-        const ny = y + j;
-        if (nx < 0 || ny < 0 || nx >= GRID_W || ny >= GRID_H) continue;
-        const nidx = ny * GRID_W + nx;
-        const ncell = this.cells[nidx];
-        if (!ncell) continue;
-        if (!ncell.owner || ncell.owner !== id) {
-          targets.push({ x: nx, y: ny });
-        }
-      }
+  }
+  /**
+   * One tick of the loop: advance the simulation and stream the changes.
+   */
+  step() {
+    this.game.update();
+    this.broadcastState();
+    if (this.game.result && !this.resultsSent) this.endRound();
+  }
+  /**
+   * A win condition was met: publish the results, close the recording and
+   * schedule the next round.
+   */
+  endRound() {
+    this.resultsSent = true;
+    if (this.recorder) {
+      this.recorder.close(this.game.tick);
+      this.recorder = null;
     }
-    // Port jump (two steps) if source has a port
-    if (srcCell.port) {
-      const dirs = [
-        { dx: -1, dy: 0 }, { dx: 1, dy: 0 }, { dx: 0, dy: -1 }, { dx: 0, dy: 1 },
-        { dx: -1, dy: -1 }, { dx: -1, dy: 1 }, { dx: 1, dy: -1 }, { dx: 1, dy: 1 },
-      ];
-      for (const dir of dirs) {
-        const midX = x + dir.dx;
-        const midY = y + dir.dy;
-        const destX = x + dir.dx * 2;
-        const destY = y + dir.dy * 2;
-        if (destX < 0 || destY < 0 || destX >= GRID_W || destY >= GRID_H) continue;
-        const midCell = this.cells[midY * GRID_W + midX];
-        const destCell = this.cells[destY * GRID_W + destX];
-        if (midCell && !midCell.land && destCell && destCell.land && (!destCell.owner || destCell.owner !== id)) {
-          targets.push({ x: destX, y: destY });
-        }
-      }
+    this.broadcast(this.resultsMessage());
+    this.nextRoundTimer = setTimeout(() => this.nextRound(), NEXT_ROUND_DELAY_MS);
+  }
+  /**
+   * Move every human still in the room to a new round and resend the full
+   * state to every stream.
+   */
+  nextRound() {
+    const previous = this.game;
+    this.startRound();
+    for (const [token, playerId] of this.sessions) {
+      const player = previous.players[playerId];
+      if (!player || previous.bots.includes(player)) continue;
+      this.apply({ type: 'add_player', playerId, name: player.name });
+      this.game.players[playerId].disconnected = player.disconnected;
+      // Eliminated players who stopped watching kept their session until
+      // now; they get the usual grace window to come back and play
+      if (player.disconnected && !this.graceTimers.has(token)) this.disconnect(token);
     }
-    if (targets.length === 0) return false;
-    // Divide the percent across all targets.  We'll call attack for each.
-    const per = percent / targets.length;
-    let any = false;
-    for (const t of targets) {
-      const ok = this.attack(id, x, y, t.x, t.y, per);
-      any = any || ok;
-    }
-    return any;
-  }
-  /**
-   * Build a port on a cell if adjacent to water and player has enough troops.
-   */
-  buildPort(id, x, y) {
-    const idx = y * GRID_W + x;
-    const cell = this.cells[idx];
-    const player = this.players[id];
-    if (!cell || cell.owner !== id || !cell.land || cell.port) return false;
-    // Check adjacency to water
-    let adjacentWater = false;
-    for (let j = -1; j <= 1; j++) {
-      for (let i = -1; i <= 1; i++) {
-        if (i === 0 && j === 0) continue;
-        const nx = x + i;
-        const ny = y + j;
-        if (nx < 0 || ny < 0 || nx >= GRID_W || ny >= GRID_H) continue;
-        const nidx = ny * GRID_W + nx;
-        const ncell = this.cells[nidx];
-        if (ncell && !ncell.land) adjacentWater = true;
-      }
+    this.ensureBots();
+    for (const client of this.clients) {
+      this.sendSnapshot(client);
     }
-    if (!adjacentWater) return false;
-    if (!player || player.troops < 5) return false;
-    player.troops -= 5;
-    cell.port = true;
-    return true;
-  }
-  /**
-   * Build a city on a cell if the player has enough troops.
-   */
-  buildCity(id, x, y) {
-    const idx = y * GRID_W + x;
-    const cell = this.cells[idx];
-    const player = this.players[id];
-    if (!cell || cell.owner !== id || !cell.land || cell.city) return false;
-    if (!player || player.troops < 10) return false;
-    player.troops -= 10;
-    cell.city = true;
-    return true;
-  }
-  /**
-   * Periodic update: grows troop pools and executes bot actions.
-   */
-  update() {
-    // Grow troops for each player based on territory and cities
-    for (const pid in this.players) {
-      const player = this.players[pid];
-      const territorySize = player.cells.size;
-      let cityCount = 0;
-      for (const cellIdx of player.cells) {
-        const cell = this.cells[cellIdx];
-        if (cell.city) cityCount += 1;
+  }
+  resultsMessage() {
+    return message('results', { round: this.round, nextRoundInMs: NEXT_ROUND_DELAY_MS, ...this.game.result });
+  }
+  /**
+   * Apply a command to the game, recording it if it was accepted.
+   */
+  apply(action) {
+    const result = this.game.applyAction(action);
+    if (result && this.recorder) this.recorder.record(this.game.tick, action);
+    return result;
+  }
+  /**
+   * Stop the update loop and close every open event stream.  A stopped room
+   * is not started again.
+   */
+  stop() {
+    this.stopped = true;
+    clearInterval(this.timer);
+    this.timer = null;
+    clearTimeout(this.nextRoundTimer);
+    for (const timeout of this.graceTimers.values()) {
+      clearTimeout(timeout);
+    }
+    this.graceTimers.clear();
+    if (this.recorder) {
+      this.recorder.close(this.game.tick);
+      this.recorder = null;
+    }
+    // Closing a socket removes it from the list right away
+    for (const client of this.clients.slice()) {
+      client.close();
+    }
+    this.clients.length = 0;
+  }
+  /**
+   * Fill the free player slots with bots, or drop bots so that every human
+   * slot stays available.  Surplus bots with the smallest territory go
+   * first, so empires handed over by abandoning players survive.
+   */
+  ensureBots() {
+    const game = this.game;
+    const wanted = this.bots ? this.maxPlayers - game.humanCount() : 0;
+    while (game.bots.length > Math.max(0, wanted)) {
+      let weakest = game.bots[0];
+      for (const bot of game.bots) {
+        if (bot.cells.size < weakest.cells.size) weakest = bot;
       }
-      let maxTroops = 5 + Math.floor(territorySize / 2) + cityCount * 5;
-      const growth = Math.max(1, Math.floor(player.troops / 3));
-      player.troops = Math.min(player.troops + growth, maxTroops);
-    }
-    // bot actions
-    for (const bot of this.bots) {
-      this.botAct(bot);
-    }
-  }
-  /**
-   * Bot behaviour using pooled troops.  Bots expand randomly.
-   */
-  botAct(bot) {
-    if (bot.cells.size === 0) {
-      // spawn
-      for (let i = 0; i < 50; i++) {
-        const x = Math.floor(Math.random() * GRID_W);
-        const y = Math.floor(Math.random() * GRID_H);
-        const idx = y * GRID_W + x;
-        const cell = this.cells[idx];
-        if (cell.land && !cell.owner) {
-          cell.owner = bot.id;
-          cell.port = false;
-          cell.city = false;
-          bot.cells.add(idx);
-          bot.troops = 10;
-          return;
-        }
+      this.apply({ type: 'remove', playerId: weakest.id });
+    }
+    while (game.bots.length < wanted) {
+      this.apply({ type: 'add_bot', strategy: this.botStrategy, difficulty: this.botDifficulty });
+    }
+  }
+  /**
+   * Broadcast the changes since the previous tick to all SSE clients of
+   * this room.
+   */
+  broadcastState() {
+    const delta = { ...this.game.takeDelta(), spectators: this.spectatorCount() };
+    // Fogged views of this tick, shared by the streams of each player
+    const views = new Map();
+    for (const client of this.clients) {
+      const view = this.fogView(client, views);
+      const seen = { ...delta, diplomacy: this.diplomacyFor(client, delta.diplomacy) };
+      if (!view) {
+        // A player who just got eliminated needs the whole map again
+        if (client.visible) this.sendSnapshot(client);
+        else client.send(message('delta', seen));
+        continue;
       }
-      return;
+      client.send(message('delta', fogDelta(seen, this.game, view, client.visible)));
+      client.visible = view.visible;
+    }
+    this.publishCombat();
+    this.publishDiplomacy();
+    this.publishFeed();
+  }
+  /**
+   * Send the game's event feed (joins, eliminations, captured cities...) to
+   * everyone.
+   */
+  publishFeed() {
+    for (const entry of this.game.takeFeed()) {
+      this.broadcast(message('feed', entry));
+    }
+  }
+  /**
+   * Deliver a chat command { channel, text, toId }: global messages reach
+   * every stream, alliance messages the sender and their allies, direct
+   * messages the sender and toId.  Returns the ack.
+   */
+  chat(playerId, { channel = 'global', text, toId }) {
+    text = typeof text === 'string' ? text.trim() : '';
+    if (!CHAT_CHANNELS.includes(channel)) return ack(REASONS.INVALID_CHANNEL);
+    if (!text || text.length > MAX_CHAT_LENGTH) return ack(REASONS.INVALID_TEXT, { maxLength: MAX_CHAT_LENGTH });
+    if (channel === 'direct' && (!this.game.players[toId] || toId === playerId)) {
+      return ack(REASONS.UNKNOWN_RECIPIENT);
     }
-    const ownCells = Array.from(bot.cells);
-    const srcIdx = ownCells[Math.floor(Math.random() * ownCells.length)];
-    const srcCell = this.cells[srcIdx];
-    const x = srcIdx % GRID_W;
-    const y = Math.floor(srcIdx / GRID_W);
-    // gather possible targets
-    const possibleTargets = [];
-    for (let j = -1; j <= 1; j++) {
-      for (let i = -1; i <= 1; i++) {
-        if (i === 0 && j === 0) continue;
-        const nx = x + i;
-        const ny = y + j;
-        if (nx < 0 || ny < 0 || nx >= GRID_W || ny >= GRID_H) continue;
-        const nidx = ny * GRID_W + nx;
-        const ncell = this.cells[nidx];
-        if (!ncell) continue;
-        if (!ncell.owner || ncell.owner !== bot.id) {
-          possibleTargets.push({ x: nx, y: ny });
+    const wait = this.chatLimiter.take(playerId);
+    if (wait > 0) return ack(REASONS.RATE_LIMITED, { retryAfterMs: wait });
+    const msg = message('chat', {
+      id: this.nextChatId++,
+      channel,
+      fromId: playerId,
+      fromName: this.game.players[playerId].name,
+      text,
+      time: Date.now(),
+    });
+    let recipients = null;
+    if (channel === 'alliance') {
+      recipients = [playerId, ...this.game.diplomacy.alliesOf(playerId)];
+    } else if (channel === 'direct') {
+      msg.toId = toId;
+      recipients = [playerId, toId];
+    }
+    for (const client of this.clients) {
+      if (!recipients || (client.id && recipients.includes(client.id))) client.send(msg);
+    }
+    return ack(REASONS.OK, { id: msg.id });
+  }
+  /**
+   * Send each fight of the last tick to the attacker's and the defender's
+   * streams.
+   */
+  publishCombat() {
+    for (const report of this.game.takeCombatReports()) {
+      const msg = message('combat', report);
+      for (const client of this.clients) {
+        if (client.id && (client.id === report.attackerId || client.id === report.defenderId)) {
+          client.send(msg);
         }
       }
     }
-    if (srcCell.port) {
-      const dirs = [
-        { dx: -1, dy: 0 }, { dx: 1, dy: 0 }, { dx: 0, dy: -1 }, { dx: 0, dy: 1 },
-        { dx: -1, dy: -1 }, { dx: -1, dy: 1 }, { dx: 1, dy: -1 }, { dx: 1, dy: 1 },
-      ];
-      for (const dir of dirs) {
-        const midX = x + dir.dx;
-        const midY = y + dir.dy;
-        const destX = x + dir.dx * 2;
-        const destY = y + dir.dy * 2;
-        if (destX < 0 || destY < 0 || destX >= GRID_W || destY >= GRID_H) continue;
-        const midCell = this.cells[midY * GRID_W + midX];
-        const destCell = this.cells[destY * GRID_W + destX];
-        if (midCell && !midCell.land && destCell && destCell.land && (!destCell.owner || destCell.owner !== bot.id)) {
-          possibleTargets.push({ x: destX, y: destY });
-        }
+  }
+  /**
+   * Announce signed, broken and ended treaties to everyone; proposals and
+   * their answers only go to the two players concerned.
+   */
+  publishDiplomacy() {
+    for (const event of this.game.takeDiplomacyEvents()) {
+      const msg = message('diplomacy', event);
+      if (PUBLIC_EVENTS.includes(event.event)) {
+        this.broadcast(msg);
+        continue;
       }
+      for (const client of this.clients) {
+        if (client.id && event.playerIds.includes(client.id)) client.send(msg);
+      }
+    }
+  }
+  /**
+   * Send a message to every client of this room.
+   */
+  broadcast(msg) {
+    for (const client of this.clients) {
+      client.send(msg);
+    }
+  }
+  /**
+   * Send the full state to one client, on connect or when it asks for a
+   * resync after missing a delta.  Streams joining a finished round also get
+   * its results.
+   */
+  sendSnapshot(client) {
+    let state = this.game.serializeState();
+    const view = this.fogView(client);
+    client.visible = view ? view.visible : null;
+    if (view) state = fogState(state, view);
+    state.diplomacy = this.diplomacyFor(client, state.diplomacy);
+    client.send(
+      message('state', {
+        streamId: client.streamId,
+        round: this.round,
+        spectators: this.spectatorCount(),
+        ...state,
+      })
+    );
+    if (this.resultsSent) client.send(this.resultsMessage());
+  }
+  /**
+   * Register a new stream: send it the state and give its player back
+   * control.
+   */
+  addClient(client) {
+    if (client.id) this.connect(client.token);
+    this.sendSnapshot(client);
+    this.clients.push(client);
+  }
+  /**
+   * Forget a closed stream; its player gets a grace window to reconnect
+   * with the same token.
+   */
+  removeClient(client) {
+    const idx = this.clients.indexOf(client);
+    if (idx >= 0) this.clients.splice(idx, 1);
+    this.actionLimiter.forget(client.streamId);
+    if (client.id) this.disconnect(client.token);
+  }
+  /**
+   * How much of the map a stream may see: null if everything, which is the
+   * case without fog of war and for eliminated players watching the end of
+   * their round.  Otherwise { player, visible }: the stream's player, and
+   * the cells they see.  Streams without a player get { player: null } and
+   * no cells at all, or anyone could watch the whole map from a second tab.
+   * views caches the views of one tick by player id.
+   */
+  fogView(client, views = new Map()) {
+    if (!this.fog) return null;
+    const player = (client.id && this.game.players[client.id]) || null;
+    if (player && player.eliminatedAt !== null) return null;
+    const key = player ? player.id : '';
+    if (!views.has(key)) {
+      const visible = player ? computeVisibility(this.game, player) : new Uint8Array(this.game.cells.length);
+      views.set(key, { player, visible });
     }
-    if (possibleTargets.length === 0) return;
-    // Choose one and attack with half of bot's troops
-    const target = possibleTargets[Math.floor(Math.random() * possibleTargets.length)];
-    const toSend = Math.floor(bot.troops / 2);
-    if (toSend < 1) return;
-    const percent = toSend / bot.troops;
-    this.attack(bot.id, x, y, target.x, target.y, percent);
+    return views.get(key);
   }
   /**
-   * Prepare state for sending to clients.  Includes player troop counts.
+   * The diplomacy of a state or delta as a stream sees it: the treaties,
+   * and the proposals its player made or received.  Streams without a player
+   * see no proposals.
    */
-  serializeState() {
-    const players = {};
-    for (const pid in this.players) {
-      const p = this.players[pid];
-      players[pid] = { id: p.id, name: p.name, color: p.color, troops: p.troops };
+  diplomacyFor(client, diplomacy) {
+    return { ...diplomacy, proposals: client.id ? this.game.diplomacy.proposalsOf(client.id) : [] };
+  }
+  /**
+   * Number of streams watching the match rather than playing it: those
+   * without a player and those of eliminated players.  Spectators never
+   * take a player slot.
+   */
+  spectatorCount() {
+    return this.clients.filter((client) => {
+      const player = client.id && this.game.players[client.id];
+      return !player || player.eliminatedAt !== null;
+    }).length;
+  }
+  /**
+   * Add a human player and open their session.  Returns the ack, with the
+   * player id and secret token when accepted.  Joins count towards the rate
+   * limit of the address they come from.
+   */
+  join(msg, address) {
+    const wait = joinLimiter.take(address);
+    if (wait > 0) return ack(REASONS.RATE_LIMITED, { retryAfterMs: wait });
+    const invalid = validateCommand({ ...msg, type: 'join' });
+    if (invalid) return ack(REASONS.INVALID_MESSAGE, { details: invalid });
+    const name = msg.name;
+    const id = this.apply({ type: 'join', name: typeof name === 'string' && name.trim() ? name.trim() : 'Anonyme' });
+    if (!id) return ack(REASONS.ROOM_FULL);
+    this.ensureBots();
+    const token = this.createSession(id);
+    // Until a stream opens the player counts as disconnected
+    this.disconnect(token);
+    return ack(REASONS.OK, { playerId: id, token, roomId: this.id });
+  }
+  /**
+   * Carry out a command sent by a player, from either transport, and return
+   * its ack.  client is the stream the command came with, if any.  Every
+   * command counts towards the sender's rate limit, then must match its
+   * schema before anything else looks at it.
+   */
+  command(playerId, msg, client) {
+    const wait = this.actionLimiter.take(playerId || (client && client.streamId));
+    if (wait > 0) return ack(REASONS.RATE_LIMITED, { retryAfterMs: wait });
+    const invalid = validateCommand(msg);
+    if (invalid) return ack(REASONS.INVALID_MESSAGE, { details: invalid });
+    if (msg.type === 'chat') return this.chat(playerId, msg);
+    if (msg.type === 'resync') {
+      if (!client) return ack(REASONS.STREAM_NOT_FOUND);
+      this.sendSnapshot(client);
+      return ack(REASONS.OK);
     }
+    const build = GAME_COMMANDS[msg.type];
+    if (!build) return ack(REASONS.UNKNOWN_TYPE);
+    const action = build(msg);
+    if (!action) return ack(REASONS.INVALID_MESSAGE);
+    if (this.apply({ ...action, playerId })) return ack(REASONS.OK);
+    // The game tells why it refused
+    const { reason, details } = this.game.rejection || { reason: REASONS.REJECTED, details: {} };
+    return ack(reason, { details });
+  }
+  /**
+   * Create a session for a player and return its secret token.
+   */
+  createSession(playerId) {
+    const token = crypto.randomBytes(24).toString('hex');
+    this.sessions.set(token, playerId);
+    return token;
+  }
+  /**
+   * A player's stream (re)connected: cancel any pending abandon and give
+   * them back control.
+   */
+  connect(token) {
+    clearTimeout(this.graceTimers.get(token));
+    this.graceTimers.delete(token);
+    const player = this.game.players[this.sessions.get(token)];
+    if (player) player.disconnected = false;
+  }
+  /**
+   * A player's stream closed.  Keep the player, flagged as disconnected,
+   * for the grace window; abandon the empire if they do not come back.
+   * Eliminated players have no empire left: they keep their session until
+   * the round ends, so that they can come back and watch its end.
+   */
+  disconnect(token) {
+    if (this.stopped || this.clients.some((c) => c.token === token)) return;
+    const player = this.game.players[this.sessions.get(token)];
+    if (!player) return;
+    player.disconnected = true;
+    clearTimeout(this.graceTimers.get(token));
+    this.graceTimers.delete(token);
+    if (player.eliminatedAt !== null) return;
+    this.graceTimers.set(token, setTimeout(() => this.leave(token), this.reconnectGraceMs));
+  }
+  /**
+   * Invalidate a player's session and abandon their empire, either to a bot
+   * controller or by freeing the territory.
+   */
+  leave(token) {
+    const playerId = this.sessions.get(token);
+    this.sessions.delete(token);
+    clearTimeout(this.graceTimers.get(token));
+    this.graceTimers.delete(token);
+    this.chatLimiter.forget(playerId);
+    this.actionLimiter.forget(playerId);
+    const player = this.game.players[playerId];
+    // Eliminated players stay in the results of the round
+    if (!player || player.eliminatedAt !== null) return;
+    if (this.abandon === 'bot' && player.cells.size > 0) {
+      this.apply({ type: 'hand_over', playerId });
+    } else {
+      this.apply({ type: 'remove', playerId });
+    }
+    this.ensureBots();
+  }
+  /**
+   * A room is idle once no human plays in it and nobody watches it.
+   */
+  isIdle() {
+    return this.game.humanCount() === 0 && this.clients.length === 0;
+  }
+  /**
+   * Public summary used by the lobby listing.
+   */
+  summary() {
     return {
-      gridW: GRID_W,
-      gridH: GRID_H,
-      cells: this.cells.map((c) => ({
-        land: c.land,
-        owner: c.owner,
-        troops: c.troops,
-        port: c.port,
-        city: c.city,
-      })),
-      players,
+      id: this.id,
+      name: this.name,
+      map: { id: this.map.id, name: this.map.name },
+      players: this.game.humanCount(),
+      maxPlayers: this.maxPlayers,
+      spectators: this.spectatorCount(),
+      tickIntervalMs: this.tickIntervalMs,
+      bots: this.bots,
+      botStrategy: this.botStrategy,
+      botDifficulty: this.botDifficulty,
+      reconnectGraceMs: this.reconnectGraceMs,
+      abandon: this.abandon,
+      fog: this.fog,
+      winConditions: this.winConditions,
+      round: this.round,
+      seed: this.game.seed,
     };
   }
+  /**
+   * Everything Room.fromSnapshot() needs to bring the room back: its
+   * settings, round, sessions and game.
+   */
+  snapshot() {
+    return {
+      id: this.id,
+      settings: {
+        name: this.name,
+        mapId: this.map.id,
+        maxPlayers: this.maxPlayers,
+        tickIntervalMs: this.tickIntervalMs,
+        bots: this.bots,
+        botStrategy: this.botStrategy,
+        botDifficulty: this.botDifficulty,
+        reconnectGraceMs: this.reconnectGraceMs,
+        abandon: this.abandon,
+        winConditions: this.winConditions,
+        record: this.record,
+        fog: this.fog,
+      },
+      round: this.round,
+      sessions: [...this.sessions],
+      game: this.game.toSnapshot(),
+    };
+  }
+  /**
+   * Rebuild a room from snapshot(), not yet started: no timer runs until
+   * resume(), so a room thrown away before then leaves nothing behind.  The
+   * recording of the restored round cannot be resumed, so recording starts
+   * again with the next round.  Throws if the snapshot does not fit the
+   * maps of this server.
+   */
+  static fromSnapshot(snapshot) {
+    const map = getMap(snapshot.settings.mapId);
+    if (!map) throw new Error(`Unknown map ${snapshot.settings.mapId}`);
+    const game = Game.fromSnapshot(snapshot.game, map);
+    const room = new Room(snapshot.id, { ...snapshot.settings, record: false });
+    room.record = snapshot.settings.record;
+    room.round = snapshot.round;
+    room.game = game;
+    for (const [token, playerId] of snapshot.sessions) {
+      if (!game.players[playerId]) continue;
+      room.sessions.set(token, playerId);
+      game.players[playerId].disconnected = true;
+    }
+    room.resultsSent = !!game.result;
+    return room;
+  }
+  /**
+   * Start the timers of a room restored by fromSnapshot(), once it is
+   * registered: players get the reconnect grace window to come back with
+   * their old tokens, and a finished round moves on to the next one.
+   */
+  resume() {
+    for (const token of this.sessions.keys()) {
+      this.disconnect(token);
+    }
+    if (this.resultsSent) this.nextRoundTimer = setTimeout(() => this.nextRound(), NEXT_ROUND_DELAY_MS);
+  }
+}
+
+// A replay room re-simulates a recorded match through Game and streams it
+// like a live room.  Nobody can join; watchers control playback.
+class ReplayRoom extends Room {
+  constructor(id, recording, file) {
+    const { header, actions, endTick } = recording;
+    super(id, {
+      name: 'Replay : ' + header.name,
+      maxPlayers: header.maxPlayers,
+      tickIntervalMs: header.tickIntervalMs,
+      bots: false,
+      seed: header.seed,
+      winConditions: header.winConditions,
+      // Recordings from before map packages were all played on the default map
+      mapId: header.mapId || DEFAULT_MAP_ID,
+    });
+    this.file = file;
+    this.actions = actions;
+    // Index of the next action to apply
+    this.cursor = 0;
+    // Recordings of matches still running have no end marker yet
+    this.lastTick = endTick !== null ? endTick : actions.length ? actions[actions.length - 1].tick : 0;
+    this.paused = false;
+    this.speed = 1;
+    // Secret of whoever opened the replay; only they control playback
+    this.controlToken = crypto.randomBytes(24).toString('hex');
+  }
+  start() {
+    if (this.timer || this.finished()) return;
+    this.timer = setInterval(() => this.step(), this.tickIntervalMs / this.speed);
+  }
+  /**
+   * Apply the actions recorded for the current tick, then advance the
+   * simulation exactly like the live room did.
+   */
+  step() {
+    if (this.paused || this.finished()) return;
+    const game = this.game;
+    while (this.cursor < this.actions.length && this.actions[this.cursor].tick <= game.tick) {
+      game.applyAction(this.actions[this.cursor].action);
+      this.cursor += 1;
+    }
+    if (game.tick < this.lastTick) game.update();
+    this.broadcastState();
+    this.broadcastStatus();
+    if (game.result && !this.resultsSent) this.endRound();
+    // Nothing left to play: stop ticking
+    if (this.finished()) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+  /**
+   * Show the recorded results; a replay has no next round.
+   */
+  endRound() {
+    this.resultsSent = true;
+    this.broadcast(this.resultsMessage());
+  }
+  resultsMessage() {
+    return { ...super.resultsMessage(), nextRoundInMs: null };
+  }
+  /**
+   * Nobody can join a replay.
+   */
+  join() {
+    return ack(REASONS.FORBIDDEN);
+  }
+  finished() {
+    return this.cursor >= this.actions.length && this.game.tick >= this.lastTick;
+  }
+  /**
+   * A replay has no players of its own: it is idle once nobody watches it.
+   */
+  isIdle() {
+    return this.clients.length === 0;
+  }
+  /**
+   * True if a token is the control token of this replay.
+   */
+  controlledBy(token) {
+    const given = Buffer.from(token || '');
+    const expected = Buffer.from(this.controlToken);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+  /**
+   * Change playback: paused (boolean) and/or speed (one of REPLAY_SPEEDS).
+   */
+  control({ paused, speed }) {
+    if (typeof paused === 'boolean') this.paused = paused;
+    if (REPLAY_SPEEDS.includes(speed) && speed !== this.speed) {
+      this.speed = speed;
+      if (this.timer) {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.start();
+      }
+    }
+    this.broadcastStatus();
+  }
+  status() {
+    return message('replay', {
+      paused: this.paused,
+      speed: this.speed,
+      tick: this.game.tick,
+      lastTick: this.lastTick,
+      finished: this.finished(),
+    });
+  }
+  broadcastStatus() {
+    this.broadcast(this.status());
+  }
+  sendSnapshot(client) {
+    super.sendSnapshot(client);
+    client.send(this.status());
+  }
+  summary() {
+    return { ...super.summary(), replay: this.file };
+  }
 }
 
-const game = new Game();
+// rooms: Map<roomId, Room>
+const rooms = new Map();
 
-// Manage bots to fill up the game
-function ensureBots() {
-  while (game.bots.length + Object.keys(game.players).length < MAX_PLAYERS_PER_GAME) {
-    const botId = 'bot-' + Math.random().toString(36).substr(2, 5);
-    const color = randomColor();
-    const bot = { id: botId, name: 'Bot', color, cells: new Set(), troops: 0 };
-    game.bots.push(bot);
-    game.players[botId] = bot;
+function createRoom(id, settings) {
+  const room = new Room(id, settings);
+  rooms.set(id, room);
+  room.start();
+  return room;
+}
+
+// The default room always exists so that the lobby is never empty.
+function ensureDefaultRoom() {
+  if (!rooms.has(DEFAULT_ROOM_ID)) createRoom(DEFAULT_ROOM_ID, { name: 'Partie principale', record: true });
+}
+
+// Save every live room under a snapshot name.  Replays are left out: they
+// can be reopened from their recording.
+function saveRooms(name) {
+  const live = [...rooms.values()].filter((room) => !(room instanceof ReplayRoom));
+  return writeSnapshot(name, live.map((room) => room.snapshot()));
+}
+
+// Replace the live rooms with those of a named snapshot.  Every room is
+// rebuilt before any is stopped, so a snapshot that fails to load leaves
+// the server as it was.  Throws in that case.
+function loadRooms(name) {
+  // Every room is built before anything changes; timers only start once
+  // they are registered
+  const restored = readSnapshot(name).rooms.map((snapshot) => Room.fromSnapshot(snapshot));
+  for (const room of [...rooms.values()]) {
+    if (room instanceof ReplayRoom) continue;
+    room.stop();
+    rooms.delete(room.id);
+  }
+  for (const room of restored) {
+    // A replay opened meanwhile keeps its id
+    if (rooms.has(room.id)) continue;
+    rooms.set(room.id, room);
+    room.resume();
+    room.start();
   }
+  ensureDefaultRoom();
+  return restored.length;
 }
 
-// SSE clients: list of {id, res}
-const sseClients = [];
+// Pick up where the previous server left off, from the newest snapshot
+const latest = listSnapshots()[0];
+if (latest) {
+  try {
+    console.log('Restored', loadRooms(latest.name), 'rooms from snapshot', latest.name);
+  } catch (err) {
+    console.error('Cannot restore snapshot', latest.name, err.message);
+  }
+}
+ensureDefaultRoom();
 
-// Broadcast new state to all SSE clients
-function broadcastState() {
-  const data = JSON.stringify(game.serializeState());
-  for (const client of sseClients) {
-    client.res.write(`data: ${data}\n\n`);
+// Autosave the live rooms periodically and when the server is told to stop
+function autosave() {
+  try {
+    saveRooms(AUTOSAVE_NAME);
+  } catch (err) {
+    console.error('Autosave failed', err.message);
   }
 }
+setInterval(autosave, SNAPSHOT_INTERVAL_MS);
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    autosave();
+    process.exit(0);
+  });
+}
 
-// Periodic update
+// Drop rooms that nobody uses any more.  The default room is kept.
 setInterval(() => {
-  game.update();
-  broadcastState();
-}, TICK_INTERVAL_MS);
+  const now = Date.now();
+  for (const room of rooms.values()) {
+    if (room.id === DEFAULT_ROOM_ID) continue;
+    if (room.isIdle() && now - room.createdAt > ROOM_SWEEP_INTERVAL_MS) {
+      room.stop();
+      rooms.delete(room.id);
+    }
+  }
+  joinLimiter.prune(now);
+}, ROOM_SWEEP_INTERVAL_MS);
+
+// Clamp an optional integer setting to a range, falling back to a default
+function clampSetting(value, min, max, fallback) {
+  const n = parseInt(value, 10);
+  if (Number.isNaN(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+// Read the win conditions of a room creation request: landPercent (10-100),
+// lastStanding (boolean) and timeLimitMinutes (0 = none), converted to the
+// Game's fractions and ticks.
+function parseWinConditions(input, tickIntervalMs) {
+  const conditions = { ...DEFAULT_WIN_CONDITIONS };
+  if (!input || typeof input !== 'object') return conditions;
+  if (input.landPercent !== undefined) {
+    conditions.landPercent = clampSetting(input.landPercent, 10, 100, 70) / 100;
+  }
+  if (typeof input.lastStanding === 'boolean') conditions.lastStanding = input.lastStanding;
+  const minutes = clampSetting(input.timeLimitMinutes, 0, MAX_TIME_LIMIT_MINUTES, 0);
+  conditions.timeLimitTicks = Math.round((minutes * 60 * 1000) / tickIntervalMs);
+  return conditions;
+}
+
+// Reply with a JSON error payload
+function sendError(res, status, error, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify({ ok: false, error }));
+}
+
+// HTTP status of the acks of POST commands, including the Game's
+// rejections: 400 for malformed commands, 403 for cells or proposals that
+// are not the player's, 404 for unknown targets, 409 when the state of the
+// game does not allow the action and 422 when the rules forbid it.
+const REASON_STATUS = {
+  [REASONS.REJECTED]: 409,
+  [REJECTIONS.GAME_OVER]: 409,
+  [REJECTIONS.GAME_FULL]: 403,
+  [REJECTIONS.UNKNOWN_ACTION]: 400,
+  [REJECTIONS.UNKNOWN_PLAYER]: 404,
+  [REJECTIONS.ELIMINATED]: 409,
+  [REJECTIONS.ALREADY_SPAWNED]: 409,
+  [REJECTIONS.INVALID_CELL]: 400,
+  [REJECTIONS.INVALID_PERCENT]: 400,
+  [REJECTIONS.NOT_LAND]: 422,
+  [REJECTIONS.OUTSIDE_SPAWN_ZONE]: 422,
+  [REJECTIONS.CELL_TAKEN]: 409,
+  [REJECTIONS.NOT_OWNER]: 403,
+  [REJECTIONS.NOT_ADJACENT]: 422,
+  [REJECTIONS.OWN_CELL]: 422,
+  [REJECTIONS.AT_PEACE]: 409,
+  [REJECTIONS.NO_TARGETS]: 409,
+  [REJECTIONS.INSUFFICIENT_TROOPS]: 409,
+  [REJECTIONS.UNKNOWN_BUILDING]: 400,
+  [REJECTIONS.ALREADY_BUILT]: 409,
+  [REJECTIONS.MISSING_PREREQUISITE]: 409,
+  [REJECTIONS.INSUFFICIENT_GOLD]: 409,
+  [REJECTIONS.NO_WATER_NEARBY]: 422,
+  [REJECTIONS.UNKNOWN_FRONT]: 404,
+  [REJECTIONS.NO_PORT]: 422,
+  [REJECTIONS.NO_SEA_ROUTE]: 422,
+  [REJECTIONS.TOO_MANY_BOATS]: 409,
+  [REJECTIONS.INVALID_KIND]: 400,
+  [REJECTIONS.TREATY_EXISTS]: 409,
+  [REJECTIONS.TREATY_ENDING]: 409,
+  [REJECTIONS.PROPOSAL_PENDING]: 409,
+  [REJECTIONS.UNKNOWN_PROPOSAL]: 404,
+  [REJECTIONS.NO_TREATY]: 404,
+  [REASONS.INVALID_MESSAGE]: 400,
+  [REASONS.PAYLOAD_TOO_LARGE]: 413,
+  [REASONS.UNSUPPORTED_VERSION]: 400,
+  [REASONS.UNKNOWN_TYPE]: 404,
+  [REASONS.UNAUTHORIZED]: 401,
+  [REASONS.FORBIDDEN]: 403,
+  [REASONS.ROOM_NOT_FOUND]: 404,
+  [REASONS.ROOM_FULL]: 403,
+  [REASONS.STREAM_NOT_FOUND]: 404,
+  [REASONS.INVALID_CHANNEL]: 400,
+  [REASONS.INVALID_TEXT]: 400,
+  [REASONS.UNKNOWN_RECIPIENT]: 400,
+  [REASONS.RATE_LIMITED]: 429,
+};
+
+// Reply to a POST command with its ack
+function sendAck(res, reply, headers = {}) {
+  if (reply.retryAfterMs) headers['Retry-After'] = String(Math.ceil(reply.retryAfterMs / 1000));
+  res.writeHead(REASON_STATUS[reply.reason] || 200, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(reply));
+}
+
+// Resolve the player behind the session token of a command, sent as
+// "Authorization: Bearer <token>".  Replies 401 when the token is missing or
+// unknown, and 403 when the body claims to act for another player; returns
+// null in both cases.
+function authorize(req, res, room, body) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  if (!token) {
+    sendAck(res, ack(REASONS.UNAUTHORIZED), { 'WWW-Authenticate': 'Bearer' });
+    return null;
+  }
+  const playerId = room.sessions.get(token);
+  if (!playerId || !room.game.players[playerId]) {
+    sendAck(res, ack(REASONS.UNAUTHORIZED), { 'WWW-Authenticate': 'Bearer error="invalid_token"' });
+    return null;
+  }
+  if (body.playerId !== undefined && body.playerId !== playerId) {
+    sendAck(res, ack(REASONS.FORBIDDEN));
+    return null;
+  }
+  return playerId;
+}
 
-// Helper to parse JSON body from POST requests
-function parseRequestBody(req, callback) {
-  let body = '';
+// Check the admin token of a request, sent as "Authorization: Bearer
+// <token>".  Replies 403 when the server has no ADMIN_TOKEN and 401 when the
+// token does not match; returns false in both cases.
+function authorizeAdmin(req, res) {
+  if (!ADMIN_TOKEN) {
+    sendError(res, 403, 'Administration désactivée');
+    return false;
+  }
+  const header = req.headers.authorization || '';
+  const token = Buffer.from(header.startsWith('Bearer ') ? header.slice(7).trim() : '');
+  const expected = Buffer.from(ADMIN_TOKEN);
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+    sendError(res, 401, 'Jeton invalide', { 'WWW-Authenticate': 'Bearer' });
+    return false;
+  }
+  return true;
+}
+
+// Helper to parse the JSON object body of POST requests.  On failure the
+// error carries the HTTP status and protocol reason to reply with: bodies
+// over MAX_BODY_BYTES, announced or streamed, are refused as soon as they are
+// known to be too large and the connection is closed after the reply, and
+// anything but a JSON object is malformed.
+function parseRequestBody(req, res, callback) {
+  const tooLarge = () => {
+    req.removeAllListeners('data');
+    req.removeAllListeners('end');
+    req.pause();
+    res.setHeader('Connection', 'close');
+    callback(Object.assign(new Error('Payload too large'), { status: 413, reason: REASONS.PAYLOAD_TOO_LARGE }));
+  };
+  if (Number(req.headers['content-length']) > MAX_BODY_BYTES) {
+    tooLarge();
+    return;
+  }
+  const chunks = [];
+  let size = 0;
   req.on('data', (chunk) => {
-    body += chunk.toString();
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) tooLarge();
+    else chunks.push(chunk);
   });
   req.on('end', () => {
+    let body;
+    let err = null;
     try {
-      const json = JSON.parse(body || '{}');
-      callback(null, json);
-    } catch (err) {
-      callback(err);
+      body = JSON.parse(Buffer.concat(chunks).toString() || '{}');
+    } catch (parseErr) {
+      err = parseErr;
     }
+    if (!err && (!body || typeof body !== 'object' || Array.isArray(body))) err = new Error('Not an object');
+    if (err) Object.assign(err, { status: 400, reason: REASONS.INVALID_MESSAGE });
+    callback(err, body);
   });
 }
 
+// Refuse a body that does not match a schema with a 400 naming the field
+function sendInvalid(res, invalid) {
+  res.writeHead(400, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ ok: false, error: `Champ invalide : ${invalid.field}`, details: invalid }));
+}
+
 const server = http.createServer((req, res) => {
-  const url = new URL(req.url, `http://${req.headers.host}`);
-  // SSE endpoint
+  // Neither the Host header nor the request target is trusted to form a
+  // valid URL
+  let url;
+  try {
+    url = new URL(req.url, 'http://localhost');
+  } catch (err) {
+    sendError(res, 400, 'Requête invalide');
+    return;
+  }
+  if (url.pathname === '/events' || url.pathname.startsWith('/api/')) {
+    const route = ROUTES.find((r) => r.pattern.test(url.pathname));
+    if (!route) {
+      sendError(res, 404, 'Route inconnue');
+      return;
+    }
+    if (!route.methods.includes(req.method)) {
+      sendError(res, 405, 'Méthode non autorisée', { Allow: route.methods.join(', ') });
+      return;
+    }
+  }
+  // SSE endpoint, scoped to a room with ?room=<roomId>
   if (url.pathname === '/events') {
-    const playerId = url.searchParams.get('id');
+    const room = rooms.get(url.searchParams.get('room') || DEFAULT_ROOM_ID);
+    if (!room) {
+      res.writeHead(404);
+      res.end('404');
+      return;
+    }
+    // Players identify their stream with their session token; streams
+    // without a token are read-only spectators.
+    const token = url.searchParams.get('token');
+    const playerId = token ? room.sessions.get(token) : null;
+    if (token && !playerId) {
+      sendError(res, 401, 'Jeton invalide');
+      return;
+    }
     res.writeHead(200, {
       'Content-Type': 'text/event-stream',
       'Cache-Control': 'no-cache',
       Connection: 'keep-alive',
       'Access-Control-Allow-Origin': '*',
     });
-    res.write(`data: ${JSON.stringify(game.serializeState())}\n\n`);
-    const client = { id: playerId, res };
-    sseClients.push(client);
-    // Remove player and SSE client on close
-    req.on('close', () => {
-      const idx = sseClients.indexOf(client);
-      if (idx >= 0) sseClients.splice(idx, 1);
-      if (playerId && !playerId.startsWith('bot-')) {
-        game.removePlayer(playerId);
-      }
-    });
+    const client = {
+      id: playerId,
+      token,
+      streamId: Math.random().toString(36).substr(2, 9),
+      send: (msg) => res.write(`data: ${JSON.stringify(msg)}\n\n`),
+      close: () => res.end(),
+    };
+    room.addClient(client);
+    req.on('close', () => room.removeClient(client));
     return;
   }
-  // API routes
-  if (req.method === 'POST' && url.pathname === '/api/join') {
-    parseRequestBody(req, (err, body) => {
+  // Lobby: list the live rooms, full ones included since anyone may watch
+  if (req.method === 'GET' && url.pathname === '/api/rooms') {
+    const list = [];
+    for (const room of rooms.values()) {
+      if (room instanceof ReplayRoom) continue;
+      list.push(room.summary());
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true, rooms: list }));
+    return;
+  }
+  // Lobby: create a room with its own settings
+  if (req.method === 'POST' && url.pathname === '/api/rooms') {
+    parseRequestBody(req, res, (err, body) => {
       if (err) {
-        res.writeHead(400);
-        res.end(JSON.stringify({ ok: false, error: 'Invalid JSON' }));
+        sendError(res, err.status, 'JSON invalide');
         return;
       }
-      const name = body.name || 'Anonyme';
-      const id = Math.random().toString(36).substr(2, 9);
-      const ok = game.addPlayer(id, name);
-      if (!ok) {
-        res.writeHead(403);
-        res.end(JSON.stringify({ ok: false, error: 'Partie pleine' }));
+      let open = 0;
+      for (const room of rooms.values()) {
+        if (!(room instanceof ReplayRoom)) open += 1;
+      }
+      if (open >= MAX_ROOMS) {
+        sendError(res, 503, 'Trop de parties ouvertes, réessayez plus tard', { 'Retry-After': '60' });
         return;
       }
-      ensureBots();
+      const invalid =
+        validate(ROOM_SETTINGS_SCHEMA, body) || (body.winConditions && validate(WIN_CONDITIONS_SCHEMA, body.winConditions));
+      if (invalid) {
+        sendInvalid(res, invalid);
+        return;
+      }
+      if (body.map && !getMap(body.map)) {
+        sendError(res, 400, 'Carte inconnue');
+        return;
+      }
+      const id = Math.random().toString(36).substr(2, 6);
+      const tickIntervalMs = clampSetting(body.tickIntervalMs, MIN_TICK_INTERVAL_MS, MAX_TICK_INTERVAL_MS, TICK_INTERVAL_MS);
+      const room = createRoom(id, {
+        name: typeof body.name === 'string' && body.name.trim() ? body.name.trim().slice(0, 40) : undefined,
+        mapId: body.map,
+        // Defaults to the map's recommended player count
+        maxPlayers: clampSetting(body.maxPlayers, 1, MAX_PLAYERS_PER_GAME, undefined),
+        tickIntervalMs,
+        bots: body.bots !== false,
+        botStrategy: STRATEGY_NAMES.includes(body.botStrategy) ? body.botStrategy : 'mixed',
+        botDifficulty: DIFFICULTIES[body.botDifficulty] || body.botDifficulty === 'mixed' ? body.botDifficulty : 'normal',
+        reconnectGraceMs: clampSetting(body.reconnectGraceMs, 0, MAX_RECONNECT_GRACE_MS, RECONNECT_GRACE_MS),
+        abandon: body.abandon,
+        seed: typeof body.seed === 'number' || typeof body.seed === 'string' ? body.seed : undefined,
+        record: body.record !== false,
+        fog: body.fog === true,
+        winConditions: parseWinConditions(body.winConditions, tickIntervalMs),
+      });
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ ok: true, playerId: id }));
+      res.end(JSON.stringify({ ok: true, room: room.summary() }));
     });
     return;
   }
-  if (req.method === 'POST' && url.pathname === '/api/spawn') {
-    parseRequestBody(req, (err, body) => {
+  // Maps: list the maps rooms can be played on
+  if (url.pathname === '/api/maps') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true, maps: listMaps() }));
+    return;
+  }
+  // Maps: background image of a map
+  const mapRoute = url.pathname.match(/^\/api\/maps\/([^/]+)\/background$/);
+  if (mapRoute) {
+    const map = MAP_ID_PATTERN.test(mapRoute[1]) ? getMap(mapRoute[1]) : null;
+    if (!map) {
+      sendError(res, 404, 'Carte inconnue');
+      return;
+    }
+    fs.readFile(map.backgroundFile, (err, data) => {
       if (err) {
-        res.writeHead(400);
-        res.end(JSON.stringify({ ok: false }));
+        res.writeHead(500);
+        res.end('Server Error');
         return;
       }
-      const { playerId, x, y } = body;
-      const ok = game.spawn(playerId, x, y);
-      res.writeHead(200);
-      res.end(JSON.stringify({ ok }));
+      res.writeHead(200, { 'Content-Type': map.backgroundType, 'Cache-Control': 'max-age=3600' });
+      res.end(data);
+    });
+    return;
+  }
+  // Replays: list the recorded matches
+  if (req.method === 'GET' && url.pathname === '/api/replays') {
+    fs.readdir(RECORDINGS_DIR, (err, names) => {
+      const replays = (names || []).filter((n) => recordingPath(n)).sort().reverse();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, replays }));
     });
     return;
   }
-  if (req.method === 'POST' && url.pathname === '/api/attack') {
-    parseRequestBody(req, (err, body) => {
+  // Replays: open a recorded match in a new replay room
+  if (req.method === 'POST' && url.pathname === '/api/replays') {
+    parseRequestBody(req, res, (err, body) => {
       if (err) {
-        res.writeHead(400);
-        res.end(JSON.stringify({ ok: false }));
+        sendError(res, err.status, 'JSON invalide');
+        return;
+      }
+      const invalid = validate(OPEN_REPLAY_SCHEMA, body);
+      const file = !invalid && recordingPath(body.file);
+      if (!file) {
+        sendError(res, 400, 'Fichier de replay invalide');
         return;
       }
-      const { playerId, srcX, srcY, dstX, dstY, troopsPercent } = body;
-      const ok = game.attack(playerId, srcX, srcY, dstX, dstY, troopsPercent);
-      res.writeHead(200);
-      res.end(JSON.stringify({ ok }));
+      let open = 0;
+      for (const room of rooms.values()) {
+        if (room instanceof ReplayRoom) open += 1;
+      }
+      if (open >= MAX_REPLAY_ROOMS) {
+        sendError(res, 503, 'Trop de replays ouverts, réessayez plus tard', { 'Retry-After': '60' });
+        return;
+      }
+      let recording;
+      try {
+        recording = loadRecording(file);
+      } catch (loadErr) {
+        sendError(res, 404, 'Replay illisible');
+        return;
+      }
+      const id = Math.random().toString(36).substr(2, 6);
+      const room = new ReplayRoom(id, recording, body.file);
+      rooms.set(id, room);
+      room.start();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, room: room.summary(), controlToken: room.controlToken }));
     });
     return;
   }
-  // Expand API: attack all neighbouring cells using a percentage of troop pool
-  if (req.method === 'POST' && url.pathname === '/api/expand') {
-    parseRequestBody(req, (err, body) => {
+  // Admin: list the snapshots of the store
+  if (req.method === 'GET' && url.pathname === '/api/admin/snapshots') {
+    if (!authorizeAdmin(req, res)) return;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true, snapshots: listSnapshots() }));
+    return;
+  }
+  // Admin: save the live rooms as a named snapshot { name }
+  if (req.method === 'POST' && url.pathname === '/api/admin/snapshots') {
+    if (!authorizeAdmin(req, res)) return;
+    parseRequestBody(req, res, (err, body) => {
       if (err) {
-        res.writeHead(400);
-        res.end(JSON.stringify({ ok: false }));
+        sendError(res, err.status, 'JSON invalide');
+        return;
+      }
+      const invalid = validate(SAVE_SNAPSHOT_SCHEMA, body);
+      if (invalid || !snapshotPath(body.name)) {
+        sendError(res, 400, 'Nom de sauvegarde invalide');
         return;
       }
-      const { playerId, x, y, troopsPercent } = body;
-      const ok = game.expand(playerId, x, y, troopsPercent);
-      res.writeHead(200);
-      res.end(JSON.stringify({ ok }));
+      let snapshot;
+      try {
+        snapshot = saveRooms(body.name);
+      } catch (saveErr) {
+        console.error('Snapshot failed', body.name, saveErr.message);
+        sendError(res, 500, 'Sauvegarde impossible');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, snapshot }));
     });
     return;
   }
-  if (req.method === 'POST' && url.pathname === '/api/build_port') {
-    parseRequestBody(req, (err, body) => {
-      const { playerId, x, y } = body;
-      const ok = game.buildPort(playerId, x, y);
-      res.writeHead(200);
-      res.end(JSON.stringify({ ok }));
-    });
+  // Admin: replace the live rooms with those of a named snapshot
+  const loadRoute = url.pathname.match(/^\/api\/admin\/snapshots\/([^/]+)\/load$/);
+  if (loadRoute) {
+    if (!authorizeAdmin(req, res)) return;
+    const name = loadRoute[1];
+    if (!snapshotPath(name) || !fs.existsSync(snapshotPath(name))) {
+      sendError(res, 404, 'Sauvegarde inconnue');
+      return;
+    }
+    let count;
+    try {
+      count = loadRooms(name);
+    } catch (loadErr) {
+      sendError(res, 422, `Sauvegarde illisible : ${loadErr.message}`);
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true, rooms: count }));
     return;
   }
-  if (req.method === 'POST' && url.pathname === '/api/build_city') {
-    parseRequestBody(req, (err, body) => {
-      const { playerId, x, y } = body;
-      const ok = game.buildCity(playerId, x, y);
-      res.writeHead(200);
-      res.end(JSON.stringify({ ok }));
+  // Game API routes: /api/rooms/<roomId>/<action>
+  const roomRoute = url.pathname.match(/^\/api\/rooms\/([^/]+)\/([a-z_]+)$/);
+  if (roomRoute) {
+    const room = rooms.get(roomRoute[1]);
+    const action = roomRoute[2];
+    if (!room) {
+      sendAck(res, ack(REASONS.ROOM_NOT_FOUND));
+      return;
+    }
+    // Replay playback controls: { paused, speed }, authorized by the
+    // control token handed to whoever opened the replay
+    if (action === 'replay_control') {
+      parseRequestBody(req, res, (err, body) => {
+        if (err) {
+          sendError(res, err.status, 'JSON invalide');
+          return;
+        }
+        if (!(room instanceof ReplayRoom)) {
+          sendError(res, 400, 'Pas un replay');
+          return;
+        }
+        const header = req.headers.authorization || '';
+        if (!room.controlledBy(header.startsWith('Bearer ') ? header.slice(7).trim() : '')) {
+          sendError(res, 401, 'Jeton invalide', { 'WWW-Authenticate': 'Bearer' });
+          return;
+        }
+        const invalid = validate(REPLAY_CONTROL_SCHEMA, body);
+        if (invalid) {
+          sendInvalid(res, invalid);
+          return;
+        }
+        room.control(body);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, status: room.status() }));
+      });
+      return;
+    }
+    // Every other route is a protocol command, e.g. POST
+    // /api/rooms/main/spawn { x, y }; the reply is its ack.
+    parseRequestBody(req, res, (err, body) => {
+      const msg = err ? null : { ...body, type: action };
+      const invalid = err ? err.reason : checkEnvelope(msg);
+      if (invalid) {
+        sendAck(res, ack(invalid));
+        return;
+      }
+      if (action === 'join') {
+        sendAck(res, room.join(msg, req.socket.remoteAddress));
+        return;
+      }
+      // Resync: push a fresh state down an existing event stream
+      if (action === 'resync') {
+        const client = room.clients.find((c) => c.streamId === msg.streamId);
+        sendAck(res, client ? room.command(client.id, msg, client) : ack(REASONS.STREAM_NOT_FOUND));
+        return;
+      }
+      if (action !== 'chat' && !GAME_COMMANDS[action]) {
+        sendAck(res, ack(REASONS.UNKNOWN_TYPE));
+        return;
+      }
+      const playerId = authorize(req, res, room, msg);
+      if (!playerId) return;
+      sendAck(res, room.command(playerId, msg));
     });
     return;
   }
   // Serve static files
-  let filePath = path.join(__dirname, 'public', url.pathname === '/' ? 'index.html' : url.pathname);
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    sendError(res, 405, 'Méthode non autorisée', { Allow: 'GET, HEAD' });
+    return;
+  }
+  const filePath = path.join(STATIC_DIR, url.pathname === '/' ? 'index.html' : url.pathname);
+  if (!filePath.startsWith(STATIC_DIR + path.sep)) {
+    res.writeHead(404);
+    res.end('404');
+    return;
+  }
   fs.stat(filePath, (err, stats) => {
     if (err || !stats.isFile()) {
       res.writeHead(404);
@@ -542,6 +1462,51 @@ const server = http.createServer((req, res) => {
   });
 });
 
+// Socket transport.  A socket opens on a room with the handshake auth
+// { roomId, token, v } and then carries protocol messages both ways on the
+// 'msg' event; each command is acknowledged through the socket.io callback.
+// Sockets without a token are read-only spectators until they send a join
+// command.
+const io = new SocketServer(server);
+io.on('connection', (socket) => {
+  const { roomId, token, v } = socket.handshake.auth || {};
+  const send = (msg) => socket.emit('msg', msg);
+  const refuse = (reason) => {
+    send(message('error', { reason }));
+    socket.disconnect(true);
+  };
+  if (v !== undefined && v !== PROTOCOL_VERSION) return refuse(REASONS.UNSUPPORTED_VERSION);
+  const room = rooms.get(roomId || DEFAULT_ROOM_ID);
+  if (!room) return refuse(REASONS.ROOM_NOT_FOUND);
+  const playerId = token ? room.sessions.get(token) : null;
+  if (token && !playerId) return refuse(REASONS.UNAUTHORIZED);
+  const client = { id: playerId, token, streamId: socket.id, send, close: () => socket.disconnect(true) };
+  room.addClient(client);
+  socket.on('msg', (msg, callback) => {
+    const reply = typeof callback === 'function' ? callback : send;
+    const invalid = checkEnvelope(msg);
+    if (invalid) return reply(ack(invalid));
+    let result;
+    if (msg.type === 'join') {
+      result = client.id ? ack(REASONS.FORBIDDEN) : room.join(msg, socket.handshake.address);
+      if (result.ok) {
+        // The socket now streams for the new player
+        client.id = result.playerId;
+        client.token = result.token;
+        room.connect(client.token);
+        // Under fog of war the new player only keeps what they can see
+        if (room.fog) room.sendSnapshot(client);
+      }
+    } else if (msg.type !== 'resync' && (!client.id || room.sessions.get(client.token) !== client.id)) {
+      result = ack(REASONS.UNAUTHORIZED);
+    } else {
+      result = room.command(client.id, msg, client);
+    }
+    reply({ ...result, requestId: msg.requestId });
+  });
+  socket.on('disconnect', () => room.removeClient(client));
+});
+
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log('Server listening on port', PORT);
@@ -0,0 +1,166 @@
+// Headless bot-vs-bot simulation runner for balance testing.  Runs seeded
+// matches through Game as fast as possible, without the server or its tick
+// timer, and prints aggregate stats.
+//
+//   node simulate.js --matches 200 --bots aggressive:hard,expansionist:normal,passive:easy
+//
+// Options:
+//   --matches N     number of matches (default 100)
+//   --bots LIST     comma separated strategy:difficulty profiles, one bot each
+//                   (default one bot per strategy at normal difficulty)
+//   --seed S        seed of the first match; match i uses seed S + i (default 1)
+//   --max-ticks N   time limit of a match in ticks (default 2000)
+//   --land P        percentage of land that wins a match (default 70)
+//   --sample N      tick interval of the territory curves (default 100)
+//   --json          print the report as JSON
+const { Game, DEFAULT_WIN_CONDITIONS } = require('./game');
+const { STRATEGY_NAMES, DIFFICULTIES } = require('./bots');
+
+function parseArgs(argv) {
+  const options = {
+    matches: 100,
+    bots: STRATEGY_NAMES.map((name) => `${name}:normal`).join(','),
+    seed: 1,
+    maxTicks: 2000,
+    land: DEFAULT_WIN_CONDITIONS.landPercent * 100,
+    sample: 100,
+    json: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+    if (arg === '--matches') options.matches = parseInt(next(), 10);
+    else if (arg === '--bots') options.bots = next();
+    else if (arg === '--seed') options.seed = parseInt(next(), 10);
+    else if (arg === '--max-ticks') options.maxTicks = parseInt(next(), 10);
+    else if (arg === '--land') options.land = parseFloat(next());
+    else if (arg === '--sample') options.sample = parseInt(next(), 10);
+    else if (arg === '--json') options.json = true;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  for (const key of ['matches', 'seed', 'maxTicks', 'land', 'sample']) {
+    if (!Number.isFinite(options[key]) || options[key] < 0) throw new Error(`Invalid value for ${key}`);
+  }
+  options.profiles = options.bots.split(',').map((profile) => {
+    const [strategy, difficulty = 'normal'] = profile.trim().split(':');
+    if (!STRATEGY_NAMES.includes(strategy)) throw new Error(`Unknown strategy ${strategy}`);
+    if (!DIFFICULTIES[difficulty]) throw new Error(`Unknown difficulty ${difficulty}`);
+    return `${strategy}:${difficulty}`;
+  });
+  if (options.sample < 1) throw new Error('Invalid value for sample');
+  // A match without a time limit might never end
+  if (options.maxTicks < 1) throw new Error('Invalid value for maxTicks');
+  if (options.profiles.length < 2) throw new Error('At least two bots are needed');
+  return options;
+}
+
+/**
+ * Play one match to the end.  Returns the winning profile, the match length
+ * and each bot's territory share sampled every `sample` ticks.
+ */
+function runMatch(seed, options) {
+  const game = new Game({
+    seed,
+    winConditions: { landPercent: options.land / 100, lastStanding: true, timeLimitTicks: options.maxTicks },
+  });
+  const bots = options.profiles.map((profile) => {
+    const [strategy, difficulty] = profile.split(':');
+    return { profile, bot: game.addBot(strategy, difficulty) };
+  });
+  const curves = bots.map(() => []);
+  while (!game.result) {
+    game.update();
+    if (game.tick % options.sample === 0) {
+      bots.forEach(({ bot }, i) => curves[i].push(bot.cells.size / game.landCount));
+    }
+  }
+  const winner = bots.find(({ bot }) => bot.id === game.result.winnerId);
+  return {
+    winner: winner ? winner.profile : null,
+    reason: game.result.reason,
+    ticks: game.tick,
+    curves: bots.map(({ profile }, i) => ({ profile, shares: curves[i] })),
+  };
+}
+
+/**
+ * Aggregate match outcomes per profile.  Territory curves average the share
+ * of every match at each sample; a match that ended early keeps its final
+ * share for the remaining samples.
+ */
+function aggregate(results, options) {
+  const samples = Math.floor(options.maxTicks / options.sample);
+  const profiles = {};
+  for (const profile of options.profiles) {
+    profiles[profile] = { bots: 0, wins: 0, curve: new Array(samples).fill(0) };
+  }
+  const reasons = {};
+  let totalTicks = 0;
+  for (const result of results) {
+    totalTicks += result.ticks;
+    reasons[result.reason] = (reasons[result.reason] || 0) + 1;
+    if (result.winner) profiles[result.winner].wins += 1;
+    for (const { profile, shares } of result.curves) {
+      const stats = profiles[profile];
+      stats.bots += 1;
+      for (let s = 0; s < samples; s++) {
+        stats.curve[s] += shares.length ? shares[Math.min(s, shares.length - 1)] : 0;
+      }
+    }
+  }
+  const report = {
+    matches: results.length,
+    averageTicks: results.length ? totalTicks / results.length : 0,
+    reasons,
+    profiles: {},
+  };
+  for (const profile in profiles) {
+    const stats = profiles[profile];
+    report.profiles[profile] = {
+      winRate: results.length ? stats.wins / results.length : 0,
+      // Average territory share at ticks sample, 2 * sample, ...
+      territory: stats.curve.map((sum) => (stats.bots ? sum / stats.bots : 0)),
+    };
+  }
+  return report;
+}
+
+function printReport(report, options) {
+  const pct = (value) => (value * 100).toFixed(1) + '%';
+  console.log(`${report.matches} matches, average length ${report.averageTicks.toFixed(0)} ticks`);
+  console.log('End reasons: ' + Object.entries(report.reasons).map(([r, n]) => `${r} ${n}`).join(', '));
+  console.log('');
+  for (const profile in report.profiles) {
+    const { winRate, territory } = report.profiles[profile];
+    console.log(`${profile.padEnd(22)} wins ${pct(winRate).padStart(6)}`);
+    const curve = territory.map((share, s) => `${(s + 1) * options.sample}:${pct(share)}`);
+    console.log('  territory ' + curve.join(' '));
+  }
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+    return;
+  }
+  const results = [];
+  for (let i = 0; i < options.matches; i++) {
+    results.push(runMatch(options.seed + i, options));
+    if (!options.json) process.stderr.write(`\rmatch ${i + 1}/${options.matches}`);
+  }
+  if (!options.json) process.stderr.write('\n');
+  const report = aggregate(results, options);
+  if (options.json) console.log(JSON.stringify(report, null, 2));
+  else printReport(report, options);
+}
+
+if (require.main === module) main();
+
+module.exports = { runMatch, aggregate };
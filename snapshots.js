@@ -0,0 +1,106 @@
+// Snapshot store.  The server saves the state of its live rooms as JSON
+// files of SNAPSHOTS_DIR, named after the snapshot:
+//
+//   { format, savedAt, rooms: [room snapshots, see Room.snapshot()] }
+//
+// The autosave is rewritten periodically and the newest snapshot is
+// restored on startup; admins save and load named ones.  Files written by
+// older servers are brought up to the current format by MIGRATIONS, and
+// anything else is refused.
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOTS_DIR = process.env.SNAPSHOTS_DIR || path.join(__dirname, 'snapshots');
+const SNAPSHOT_FORMAT_VERSION = 1;
+const AUTOSAVE_NAME = 'autosave';
+const SNAPSHOT_NAME_PATTERN = /^[\w-]{1,40}$/;
+
+// Upgrades from each older format to the next one: MIGRATIONS[n] turns a
+// format n snapshot into a format n + 1 one.  Add one with every bump of
+// SNAPSHOT_FORMAT_VERSION.
+const MIGRATIONS = {};
+
+// Path of a named snapshot, or null if the name is not a plain one
+function snapshotPath(name) {
+  if (typeof name !== 'string' || !SNAPSHOT_NAME_PATTERN.test(name)) return null;
+  return path.join(SNAPSHOTS_DIR, name + '.json');
+}
+
+/**
+ * Bring the contents of a snapshot file up to the current format in place;
+ * throws if they are from an unknown format.
+ */
+function migrateSnapshot(data) {
+  if (!data || typeof data !== 'object' || !Number.isInteger(data.format)) {
+    throw new Error('Not a snapshot');
+  }
+  while (data.format < SNAPSHOT_FORMAT_VERSION && MIGRATIONS[data.format]) {
+    MIGRATIONS[data.format](data);
+    data.format += 1;
+  }
+  if (data.format !== SNAPSHOT_FORMAT_VERSION) throw new Error(`Unsupported snapshot format ${data.format}`);
+  if (!Array.isArray(data.rooms)) throw new Error('Snapshot without rooms');
+  return data;
+}
+
+/**
+ * Write a snapshot of the given room snapshots under a name.  The file is
+ * replaced in one step, so a crash mid-write leaves the previous one
+ * intact.  Returns its listing entry (see listSnapshots).
+ */
+function writeSnapshot(name, rooms) {
+  const file = snapshotPath(name);
+  if (!file) throw new Error(`Invalid snapshot name ${name}`);
+  fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+  const savedAt = new Date().toISOString();
+  const tmp = file + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify({ format: SNAPSHOT_FORMAT_VERSION, savedAt, rooms }));
+  fs.renameSync(tmp, file);
+  return { name, savedAt, rooms: rooms.length };
+}
+
+/**
+ * Read a named snapshot, migrated to the current format.  Throws if it is
+ * missing or unreadable.
+ */
+function readSnapshot(name) {
+  const file = snapshotPath(name);
+  if (!file) throw new Error(`Invalid snapshot name ${name}`);
+  return migrateSnapshot(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+/**
+ * Every snapshot of the store as { name, savedAt, rooms }, newest first.
+ * Files that cannot be read are skipped.
+ */
+function listSnapshots() {
+  let names = [];
+  try {
+    names = fs.readdirSync(SNAPSHOTS_DIR);
+  } catch (err) {
+    return [];
+  }
+  const list = [];
+  for (const file of names) {
+    const name = path.basename(file, '.json');
+    if (!file.endsWith('.json') || !snapshotPath(name)) continue;
+    try {
+      const data = readSnapshot(name);
+      list.push({ name, savedAt: data.savedAt, rooms: data.rooms.length });
+    } catch (err) {
+      console.error('Invalid snapshot', name, err.message);
+    }
+  }
+  return list.sort((a, b) => (a.savedAt < b.savedAt ? 1 : a.savedAt > b.savedAt ? -1 : 0));
+}
+
+module.exports = {
+  SNAPSHOTS_DIR,
+  SNAPSHOT_FORMAT_VERSION,
+  AUTOSAVE_NAME,
+  snapshotPath,
+  migrateSnapshot,
+  writeSnapshot,
+  readSnapshot,
+  listSnapshots,
+};
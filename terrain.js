@@ -0,0 +1,24 @@
+// Terrain types.  Every cell of a map has one, written in map packages as a
+// one-letter code.  Land terrain changes how hard a cell is to take
+// (defense multiplies its defence power) and how many troops it supports
+// (yield, in cells of plains).  Boats sail over water, spending sailCost
+// movement points per cell: the open sea slows them down.
+const TERRAINS = {
+  plains: { code: 'p', land: true, defense: 1, yield: 1 },
+  forest: { code: 'f', land: true, defense: 1.5, yield: 0.75 },
+  mountain: { code: 'm', land: true, defense: 2.5, yield: 0.5 },
+  desert: { code: 'd', land: true, defense: 0.8, yield: 0.25 },
+  shallow: { code: 's', land: false, sailCost: 1 },
+  deep: { code: 'w', land: false, sailCost: 2 },
+};
+const TERRAIN_NAMES = Object.keys(TERRAINS);
+
+// Terrain name of each map code
+const TERRAIN_CODES = {};
+for (const name of TERRAIN_NAMES) TERRAIN_CODES[TERRAINS[name].code] = name;
+
+module.exports = {
+  TERRAINS,
+  TERRAIN_NAMES,
+  TERRAIN_CODES,
+};